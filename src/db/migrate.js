@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+// Migration files are named "<version>_<name>.js" and applied in version order
+async function loadMigrations() {
+  const files = (await fs.promises.readdir(MIGRATIONS_DIR))
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    migrations.push({ version, name, up: module.up, down: module.down });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function getAppliedVersions(connection) {
+  const [rows] = await connection.query(
+    'SELECT version FROM schema_migrations ORDER BY version'
+  );
+  return rows.map(row => row.version);
+}
+
+// Run a callback on one connection while holding a server-wide named lock,
+// so only one instance migrates at a time
+async function withMigrationLock(pool, callback) {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query(
+      'SELECT GET_LOCK(?, ?) AS acquired',
+      [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+    if (acquired !== 1) {
+      throw new Error('Timed out waiting for the schema migration lock');
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await callback(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// Apply every pending migration; returns the versions that were applied
+export async function runMigrations(pool) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async connection => {
+    const applied = new Set(await getAppliedVersions(connection));
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      console.log(`Applying migration ${migration.version}_${migration.name}...`);
+      await migration.up(connection);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      ran.push(migration.version);
+    }
+
+    return ran;
+  });
+}
+
+// Revert the most recently applied migrations; returns the versions that were reverted
+export async function rollbackMigrations(pool, steps = 1) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async connection => {
+    const applied = await getAppliedVersions(connection);
+    const reverted = [];
+
+    for (const version of applied.reverse().slice(0, steps)) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
+
+      console.log(`Reverting migration ${migration.version}_${migration.name}...`);
+      await migration.down(connection);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      reverted.push(version);
+    }
+
+    return reverted;
+  });
+}
+
+// List every known migration with whether it has been applied
+export async function getMigrationStatus(pool) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async connection => {
+    const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  });
+}
@@ -0,0 +1,16 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// The ingest path writes body_html/body_text and public addresses have no owner
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'received_emails', 'body_html', 'LONGTEXT AFTER body');
+  await addColumnIfMissing(connection, 'received_emails', 'body_text', 'LONGTEXT AFTER body_html');
+  await connection.query('ALTER TABLE temp_emails MODIFY user_id VARCHAR(36) NULL');
+}
+
+// Public addresses cannot exist under the old schema, so they are removed first
+export async function down(connection) {
+  await connection.query('DELETE FROM temp_emails WHERE user_id IS NULL');
+  await connection.query('ALTER TABLE temp_emails MODIFY user_id VARCHAR(36) NOT NULL');
+  await dropColumnIfExists(connection, 'received_emails', 'body_text');
+  await dropColumnIfExists(connection, 'received_emails', 'body_html');
+}
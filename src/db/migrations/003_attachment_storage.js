@@ -0,0 +1,12 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Attachment content lives in the storage backend; rows keep its key and a public download token
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'email_attachments', 'storage_key', 'VARCHAR(512) AFTER url');
+  await addColumnIfMissing(connection, 'email_attachments', 'download_token', 'VARCHAR(64) AFTER storage_key');
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'email_attachments', 'download_token');
+  await dropColumnIfExists(connection, 'email_attachments', 'storage_key');
+}
@@ -0,0 +1,15 @@
+import { addIndexIfMissing, dropIndexIfExists } from '../schema.js';
+
+// Backs the MATCH ... AGAINST search over subject, sender and text body
+export async function up(connection) {
+  await addIndexIfMissing(
+    connection,
+    'received_emails',
+    'ft_received_search',
+    'FULLTEXT INDEX ft_received_search (subject, from_email, body_text)'
+  );
+}
+
+export async function down(connection) {
+  await dropIndexIfExists(connection, 'received_emails', 'ft_received_search');
+}
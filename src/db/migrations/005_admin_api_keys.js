@@ -0,0 +1,23 @@
+// Hashed, revocable admin API keys with scopes
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS admin_api_keys (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      key_hash CHAR(64) UNIQUE NOT NULL,
+      scopes TEXT NOT NULL,
+      created_by VARCHAR(36),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rotated_at TIMESTAMP NULL,
+      last_used_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_admin_key_hash (key_hash)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS admin_api_keys');
+}
@@ -0,0 +1,24 @@
+// Server-side sessions backing rotating refresh tokens
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      refresh_token_hash CHAR(64) UNIQUE NOT NULL,
+      previous_token_hash CHAR(64),
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_session_user (user_id),
+      INDEX idx_session_previous_token (previous_token_hash)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS user_sessions');
+}
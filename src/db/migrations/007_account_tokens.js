@@ -0,0 +1,32 @@
+import { columnExists, addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Single-use password reset and email verification tokens
+export async function up(connection) {
+  const hadVerification = await columnExists(connection, 'users', 'email_verified_at');
+  await addColumnIfMissing(connection, 'users', 'email_verified_at', 'TIMESTAMP NULL AFTER email');
+
+  // Accounts from before verification existed were never asked to verify, so they are not
+  // treated like new unverified sign-ups (which lose their credentials when a provider links)
+  if (!hadVerification) {
+    await connection.query('UPDATE users SET email_verified_at = COALESCE(created_at, NOW())');
+  }
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS account_tokens (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      purpose ENUM('password_reset', 'email_verification') NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_account_token_user (user_id, purpose, created_at)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS account_tokens');
+  await dropColumnIfExists(connection, 'users', 'email_verified_at');
+}
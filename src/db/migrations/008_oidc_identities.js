@@ -0,0 +1,38 @@
+// OpenID Connect sign-in: passwordless users, linked identities and pending logins
+export async function up(connection) {
+  await connection.query('ALTER TABLE users MODIFY password VARCHAR(255) NULL');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      provider VARCHAR(64) NOT NULL,
+      issuer VARCHAR(255) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_identity (issuer, subject),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_identity_user (user_id)
+    );
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS oidc_login_states (
+      state VARCHAR(64) PRIMARY KEY,
+      provider VARCHAR(64) NOT NULL,
+      nonce VARCHAR(64) NOT NULL,
+      code_verifier VARCHAR(128) NOT NULL,
+      return_to TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_oidc_state_expiry (expires_at)
+    );
+  `);
+}
+
+// Passwordless users cannot exist under the old schema, so they are removed first
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS oidc_login_states');
+  await connection.query('DROP TABLE IF EXISTS user_identities');
+  await connection.query('DELETE FROM users WHERE password IS NULL');
+  await connection.query('ALTER TABLE users MODIFY password VARCHAR(255) NOT NULL');
+}
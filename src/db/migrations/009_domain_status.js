@@ -0,0 +1,24 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Domains can be disabled and must prove they route mail to us before use
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'domains', 'is_active', 'BOOLEAN NOT NULL DEFAULT TRUE AFTER domain');
+  await addColumnIfMissing(connection, 'domains', 'verification_token', 'VARCHAR(64) AFTER is_active');
+  await addColumnIfMissing(connection, 'domains', 'verified_at', 'TIMESTAMP NULL AFTER verification_token');
+  await addColumnIfMissing(connection, 'domains', 'last_checked_at', 'TIMESTAMP NULL AFTER verified_at');
+  await addColumnIfMissing(connection, 'domains', 'verification_error', 'TEXT AFTER last_checked_at');
+
+  // Domains that were already serving mail stay available
+  await connection.query('UPDATE domains SET verified_at = NOW() WHERE verified_at IS NULL');
+  await connection.query(
+    "UPDATE domains SET verification_token = REPLACE(UUID(), '-', '') WHERE verification_token IS NULL"
+  );
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'domains', 'verification_error');
+  await dropColumnIfExists(connection, 'domains', 'last_checked_at');
+  await dropColumnIfExists(connection, 'domains', 'verified_at');
+  await dropColumnIfExists(connection, 'domains', 'verification_token');
+  await dropColumnIfExists(connection, 'domains', 'is_active');
+}
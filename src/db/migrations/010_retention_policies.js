@@ -0,0 +1,28 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Retention policies per domain and per user tier; users without a tier are on "free"
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'users', 'tier', "VARCHAR(32) NOT NULL DEFAULT 'free' AFTER is_admin");
+
+  // A policy targets either one domain or one tier; NULL fields fall back to the next level
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      id VARCHAR(36) PRIMARY KEY,
+      domain_id VARCHAR(36) NULL,
+      tier VARCHAR(32) NULL,
+      mail_ttl_hours INT NULL,
+      address_ttl_hours INT NULL,
+      grace_hours INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (domain_id) REFERENCES domains(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_retention_domain (domain_id),
+      UNIQUE KEY uniq_retention_tier (tier)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS retention_policies');
+  await dropColumnIfExists(connection, 'users', 'tier');
+}
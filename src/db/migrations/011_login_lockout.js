@@ -0,0 +1,14 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Failed login tracking for progressive account lockout
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'users', 'failed_login_attempts', 'INT NOT NULL DEFAULT 0 AFTER last_login');
+  await addColumnIfMissing(connection, 'users', 'last_failed_login_at', 'TIMESTAMP NULL AFTER failed_login_attempts');
+  await addColumnIfMissing(connection, 'users', 'locked_until', 'TIMESTAMP NULL AFTER last_failed_login_at');
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'users', 'locked_until');
+  await dropColumnIfExists(connection, 'users', 'last_failed_login_at');
+  await dropColumnIfExists(connection, 'users', 'failed_login_attempts');
+}
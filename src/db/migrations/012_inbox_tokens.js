@@ -0,0 +1,15 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Anonymous inboxes are read with a secret token unless they are marked public
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'temp_emails', 'access_token_hash', 'CHAR(64) NULL AFTER domain_id');
+  await addColumnIfMissing(connection, 'temp_emails', 'is_public', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER access_token_hash');
+
+  // Existing anonymous inboxes were handed out without a token, so they keep working as before
+  await connection.query('UPDATE temp_emails SET is_public = TRUE WHERE user_id IS NULL');
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'temp_emails', 'is_public');
+  await dropColumnIfExists(connection, 'temp_emails', 'access_token_hash');
+}
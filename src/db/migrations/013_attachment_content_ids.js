@@ -0,0 +1,17 @@
+import { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from '../schema.js';
+
+// Content-ID of inline attachments, so cid: references in HTML bodies can be resolved
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'email_attachments', 'content_id', 'VARCHAR(255) NULL AFTER content_type');
+  await addIndexIfMissing(
+    connection,
+    'email_attachments',
+    'idx_attachment_content_id',
+    'INDEX idx_attachment_content_id (email_id, content_id)'
+  );
+}
+
+export async function down(connection) {
+  await dropIndexIfExists(connection, 'email_attachments', 'idx_attachment_content_id');
+  await dropColumnIfExists(connection, 'email_attachments', 'content_id');
+}
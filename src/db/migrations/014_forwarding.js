@@ -0,0 +1,57 @@
+// Forwarding of received mail to verified destination addresses, with a delivery log
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forwarding_destinations (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      verification_token_hash CHAR(64) NULL,
+      verification_expires_at TIMESTAMP NULL,
+      verified_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_forwarding_destination (user_id, email),
+      INDEX idx_forwarding_verification (verification_token_hash)
+    );
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forwarding_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      destination_id VARCHAR(36) NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      FOREIGN KEY (destination_id) REFERENCES forwarding_destinations(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_forwarding_rule (temp_email_id, destination_id)
+    );
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forward_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      received_email_id VARCHAR(36) NOT NULL,
+      rule_id VARCHAR(36) NULL,
+      destination_email VARCHAR(255) NOT NULL,
+      status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NULL,
+      claimed_at TIMESTAMP NULL,
+      last_error TEXT,
+      message_id VARCHAR(255),
+      sent_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (received_email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+      FOREIGN KEY (rule_id) REFERENCES forwarding_rules(id) ON DELETE SET NULL,
+      INDEX idx_forward_due (status, next_attempt_at),
+      INDEX idx_forward_email (received_email_id)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS forward_deliveries');
+  await connection.query('DROP TABLE IF EXISTS forwarding_rules');
+  await connection.query('DROP TABLE IF EXISTS forwarding_destinations');
+}
@@ -0,0 +1,43 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Outbound mail from temporary addresses, the headers replies need and per-domain DKIM keys
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'received_emails', 'message_id', 'VARCHAR(512) NULL AFTER body_text');
+  await addColumnIfMissing(connection, 'received_emails', 'references_header', 'TEXT AFTER message_id');
+
+  await addColumnIfMissing(connection, 'domains', 'dkim_selector', 'VARCHAR(63) NULL AFTER verification_error');
+  await addColumnIfMissing(connection, 'domains', 'dkim_private_key', 'TEXT AFTER dkim_selector');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sent_emails (
+      id VARCHAR(36) PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      reply_to_email_id VARCHAR(36) NULL,
+      to_addresses TEXT NOT NULL,
+      cc_addresses TEXT,
+      subject TEXT,
+      body_text LONGTEXT,
+      body_html LONGTEXT,
+      message_id VARCHAR(512),
+      in_reply_to VARCHAR(512),
+      references_header TEXT,
+      status ENUM('sent', 'failed') NOT NULL,
+      error TEXT,
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reply_to_email_id) REFERENCES received_emails(id) ON DELETE SET NULL,
+      INDEX idx_sent_temp_email (temp_email_id, sent_at),
+      INDEX idx_sent_user (user_id, sent_at)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS sent_emails');
+  await dropColumnIfExists(connection, 'domains', 'dkim_private_key');
+  await dropColumnIfExists(connection, 'domains', 'dkim_selector');
+  await dropColumnIfExists(connection, 'received_emails', 'references_header');
+  await dropColumnIfExists(connection, 'received_emails', 'message_id');
+}
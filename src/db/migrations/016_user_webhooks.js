@@ -0,0 +1,47 @@
+// Callback URLs users register for new mail, and the durable queue of deliveries to them
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_webhooks (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NULL,
+      url VARCHAR(2048) NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      description VARCHAR(255),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      INDEX idx_user_webhooks_user (user_id),
+      INDEX idx_user_webhooks_temp_email (temp_email_id)
+    );
+  `);
+
+  // The payload is stored so deliveries can be retried after the email itself is gone
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      webhook_id VARCHAR(36) NOT NULL,
+      event_id VARCHAR(36) NOT NULL,
+      event_type VARCHAR(64) NOT NULL,
+      payload LONGTEXT NOT NULL,
+      status ENUM('pending', 'sending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NULL,
+      claimed_at TIMESTAMP NULL,
+      last_status_code INT NULL,
+      last_error TEXT,
+      delivered_at TIMESTAMP NULL,
+      redelivery_of VARCHAR(36) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES user_webhooks(id) ON DELETE CASCADE,
+      INDEX idx_webhook_due (status, next_attempt_at),
+      INDEX idx_webhook_log (webhook_id, created_at)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS webhook_deliveries');
+  await connection.query('DROP TABLE IF EXISTS user_webhooks');
+}
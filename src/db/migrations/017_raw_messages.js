@@ -0,0 +1,12 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../schema.js';
+
+// Where the compressed RFC 822 source of each received email is kept
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'received_emails', 'raw_storage_key', 'VARCHAR(255) NULL AFTER references_header');
+  await addColumnIfMissing(connection, 'received_emails', 'raw_size', 'INT NULL AFTER raw_storage_key');
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'received_emails', 'raw_size');
+  await dropColumnIfExists(connection, 'received_emails', 'raw_storage_key');
+}
@@ -0,0 +1,15 @@
+import { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from '../schema.js';
+
+// Per-message read and starred flags for received emails
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'received_emails', 'is_read', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER raw_size');
+  await addColumnIfMissing(connection, 'received_emails', 'is_starred', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER is_read');
+  // Unread counts are computed per temporary email on every inbox listing
+  await addIndexIfMissing(connection, 'received_emails', 'idx_received_unread', 'INDEX idx_received_unread (temp_email_id, is_read)');
+}
+
+export async function down(connection) {
+  await dropIndexIfExists(connection, 'received_emails', 'idx_received_unread');
+  await dropColumnIfExists(connection, 'received_emails', 'is_starred');
+  await dropColumnIfExists(connection, 'received_emails', 'is_read');
+}
@@ -0,0 +1,21 @@
+// Codes and links pulled out of received emails on ingest
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS email_extractions (
+      id VARCHAR(36) PRIMARY KEY,
+      email_id VARCHAR(36) NOT NULL,
+      kind VARCHAR(32) NOT NULL,
+      value TEXT NOT NULL,
+      confidence DECIMAL(3, 2) NOT NULL,
+      rule VARCHAR(64) NOT NULL,
+      locale VARCHAR(8) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+      INDEX idx_extractions_email (email_id, kind)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS email_extractions');
+}
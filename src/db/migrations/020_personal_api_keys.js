@@ -0,0 +1,25 @@
+// Hashed, revocable API keys users create for scripts and CI
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS personal_api_keys (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      key_hash CHAR(64) UNIQUE NOT NULL,
+      scopes TEXT NOT NULL,
+      temp_email_id VARCHAR(36) NULL,
+      expires_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      INDEX idx_personal_keys_user (user_id)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS personal_api_keys');
+}
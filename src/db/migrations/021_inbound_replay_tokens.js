@@ -0,0 +1,14 @@
+// Signed inbound webhooks already accepted, shared by every instance to reject replays
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbound_replay_tokens (
+      token_hash CHAR(64) PRIMARY KEY,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_inbound_replay_tokens_expiry (expires_at)
+    );
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS inbound_replay_tokens');
+}
@@ -0,0 +1,14 @@
+// Outbound mail is recorded as "sending" before the transport is called, so it counts
+// towards the sending quota while it is in flight
+export async function up(connection) {
+  await connection.query(
+    "ALTER TABLE sent_emails MODIFY status ENUM('sending', 'sent', 'failed') NOT NULL"
+  );
+}
+
+export async function down(connection) {
+  await connection.query("UPDATE sent_emails SET status = 'failed' WHERE status = 'sending'");
+  await connection.query(
+    "ALTER TABLE sent_emails MODIFY status ENUM('sent', 'failed') NOT NULL"
+  );
+}
@@ -0,0 +1,41 @@
+// Helpers that let migrations adopt databases created before schema_migrations existed
+
+export async function columnExists(connection, table, column) {
+  const [rows] = await connection.query(`
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+  return rows.length > 0;
+}
+
+export async function indexExists(connection, table, index) {
+  const [rows] = await connection.query(`
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+  `, [table, index]);
+  return rows.length > 0;
+}
+
+export async function addColumnIfMissing(connection, table, column, definition) {
+  if (!(await columnExists(connection, table, column))) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export async function dropColumnIfExists(connection, table, column) {
+  if (await columnExists(connection, table, column)) {
+    await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+export async function addIndexIfMissing(connection, table, index, definition) {
+  if (!(await indexExists(connection, table, index))) {
+    await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+  }
+}
+
+export async function dropIndexIfExists(connection, table, index) {
+  if (await indexExists(connection, table, index)) {
+    await connection.query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+  }
+}
@@ -5,17 +5,37 @@ import helmet from 'helmet';
 import compression from 'compression';
 import { initializeDatabase, checkDatabaseConnection, pool } from './db/init.js';
 import { cleanupOldEmails } from './utils/cleanup.js';
+import { startSmtpServer } from './services/smtp-server.js';
+import { attachWebSocketServer } from './services/realtime/index.js';
 import authRoutes from './routes/auth.js';
+import oidcRoutes from './routes/oidc.js';
 import emailRoutes from './routes/emails.js';
 import domainRoutes from './routes/domains.js';
 import webhookRoutes from './routes/webhook.js';
 import messageRoutes from './routes/messages.js';
+import adminRoutes from './routes/admin.js';
+import forwardingRoutes from './routes/forwarding.js';
+import { startForwardWorker } from './services/forwarding.js';
+import userWebhookRoutes from './routes/user-webhooks.js';
+import apiKeyRoutes from './routes/api-keys.js';
+import { startWebhookWorker } from './services/user-webhooks.js';
+import { getMailTransport } from './services/mailer.js';
 
 dotenv.config();
 
+// Fail at startup rather than on the first outbound email
+getMailTransport();
+
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a reverse proxy, rate limits need the client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  const hops = parseInt(value, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? (value === 'true' || value) : hops);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -47,11 +67,22 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: '*', // Allow all origins (or specify your frontend URL)
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access'], // Add 'Admin-Access' here
+  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access', 'X-Inbox-Token'], // Add 'Admin-Access' here
   credentials: true,
-  exposedHeaders: ['Content-Length', 'X-Requested-With']
+  exposedHeaders: [
+    'Content-Length',
+    'X-Requested-With',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+  ]
 }));
 
+// The webhook verifies signatures over the raw request body, so it is mounted before the JSON parser
+app.use('/webhook', webhookRoutes);
+
 app.use(express.json());
 
 // Health check endpoint
@@ -73,23 +104,27 @@ app.get('/health', async (req, res) => {
 });
 
 // Routes
+app.use('/auth/oidc', oidcRoutes);
 app.use('/auth', authRoutes);
 app.use('/emails', emailRoutes);
 app.use('/domains', domainRoutes);
-app.use('/webhook', webhookRoutes);
 app.use('/messages', messageRoutes);
+app.use('/admin', adminRoutes);
+app.use('/forwarding', forwardingRoutes);
+app.use('/webhooks', userWebhookRoutes);
+app.use('/api-keys', apiKeyRoutes);
 
 // Handle preflight requests for /admin/all
 app.options('/emails/admin/all', cors()); // Add this line to handle preflight
 
 // Schedule cleanup
-const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+const CLEANUP_INTERVAL = (parseInt(process.env.RETENTION_INTERVAL_HOURS, 10) || 24) * 60 * 60 * 1000;
 
 function scheduleCleanup() {
   setInterval(async () => {
     try {
-      const deletedCount = await cleanupOldEmails();
-      console.log(`Scheduled cleanup completed. Deleted ${deletedCount} old emails.`);
+      const { totals } = await cleanupOldEmails();
+      console.log(`Scheduled cleanup completed. Deleted ${totals.receivedEmails} received emails and ${totals.tempEmails} temporary emails.`);
     } catch (error) {
       console.error('Scheduled cleanup failed:', error);
     }
@@ -98,11 +133,21 @@ function scheduleCleanup() {
 
 // Initialize database and start server
 initializeDatabase().then(() => {
-  app.listen(port, '0.0.0.0', () => {
+  const server = app.listen(port, '0.0.0.0', () => {
     console.log(`Server running on port ${port}`);
     scheduleCleanup();
     console.log('Email cleanup scheduler started');
+    startForwardWorker();
+    startWebhookWorker();
   });
+
+  // Push new mail to WebSocket clients on the same port
+  attachWebSocketServer(server);
+
+  // Receive mail directly when the built-in SMTP listener is enabled
+  if (process.env.SMTP_ENABLED === 'true') {
+    startSmtpServer();
+  }
 }).catch(error => {
   console.error('Failed to initialize database:', error);
   process.exit(1);
@@ -0,0 +1,55 @@
+import { pool } from '../db/init.js';
+import { verifyAccessToken } from './auth.js';
+import { ADMIN_KEY_PREFIX, ADMIN_SCOPES, findActiveAdminKey } from '../services/admin-keys.js';
+
+// Admin keys may arrive in the Admin-Access header or as a bearer token
+function getAdminCredential(req) {
+  if (req.headers['admin-access']) {
+    return req.headers['admin-access'];
+  }
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Authorize an admin request with either a scoped API key or the JWT of a user
+// whose is_admin flag is set in the database; admin users hold every scope.
+// Sets req.admin = { userId, keyId, scopes }.
+export function requireAdminScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const credential = getAdminCredential(req);
+      if (!credential) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      if (credential.startsWith(ADMIN_KEY_PREFIX)) {
+        const key = await findActiveAdminKey(credential);
+        if (!key) {
+          return res.status(403).json({ error: 'Invalid admin key' });
+        }
+        if (!key.scopes.includes(scope)) {
+          return res.status(403).json({ error: `Admin key is missing the ${scope} scope` });
+        }
+        req.admin = { userId: key.created_by, keyId: key.id, scopes: key.scopes };
+        return next();
+      }
+
+      const user = await verifyAccessToken(credential);
+      if (!user) {
+        return res.status(403).json({ error: 'Invalid token' });
+      }
+
+      const [users] = await pool.query('SELECT is_admin FROM users WHERE id = ?', [user.id]);
+      if (users.length === 0 || !users[0].is_admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      req.user = user;
+      req.admin = { userId: user.id, keyId: null, scopes: ADMIN_SCOPES };
+      next();
+    } catch (error) {
+      console.error('Admin authorization error:', error);
+      res.status(500).json({ error: 'Failed to authorize admin request' });
+    }
+  };
+}
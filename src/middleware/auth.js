@@ -1,6 +1,58 @@
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../services/sessions.js';
+import { PERSONAL_KEY_PREFIX, findActivePersonalKey } from '../services/personal-keys.js';
 
-export function authenticateToken(req, res, next) {
+// Verify a JWT and its backing session; returns { user } or { error }
+async function checkAccessToken(token) {
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { error: err.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+
+  // Tokens issued before sessions existed carry no session id and never expire
+  if (!user.sid || !(await isSessionActive(user.sid))) {
+    return { error: 'revoked' };
+  }
+  return { user };
+}
+
+// Resolve the user encoded in a JWT, or null when the token is invalid
+export async function verifyAccessToken(token) {
+  const { user } = await checkAccessToken(token);
+  return user || null;
+}
+
+// Resolve a personal API key to the user it acts for; returns { user, apiKey } or { error }
+async function checkPersonalKey(token) {
+  const key = await findActivePersonalKey(token);
+  if (!key) {
+    return { error: 'invalid' };
+  }
+  if (key.expired) {
+    return { error: 'expired' };
+  }
+  return { user: { id: key.user_id, email: key.user_email }, apiKey: key };
+}
+
+// Why an API key may not make this request, or null when it may. Without an explicit scope,
+// reads need inbox:read and everything else inbox:write. A key limited to one temporary email
+// only works on routes whose :id is that email
+function apiKeyDenial(req, apiKey, scope) {
+  const required = scope || (['GET', 'HEAD'].includes(req.method) ? 'inbox:read' : 'inbox:write');
+  if (!apiKey.scopes.includes(required)) {
+    return `API key is missing the ${required} scope`;
+  }
+  if (apiKey.temp_email_id && req.params.id !== apiKey.temp_email_id) {
+    return 'API key is limited to a single temporary email';
+  }
+  return null;
+}
+
+// Accept a JWT or, unless allowApiKeys is false, a personal API key. Sets req.user, and
+// req.apiKey for key requests
+function authenticate(req, res, next, { scope = null, allowApiKeys = true } = {}) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -8,18 +60,54 @@ export function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+  const isApiKey = token.startsWith(PERSONAL_KEY_PREFIX);
+  if (isApiKey && !allowApiKeys) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  }
+
+  (isApiKey ? checkPersonalKey(token) : checkAccessToken(token)).then(({ user, apiKey, error }) => {
+    if (error === 'expired') {
+      return res.status(401).json({ error: isApiKey ? 'API key expired' : 'Token expired' });
+    }
+    if (error === 'revoked') {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+    if (error) {
+      return res.status(403).json({ error: isApiKey ? 'Invalid API key' : 'Invalid token' });
+    }
+    if (apiKey) {
+      const denial = apiKeyDenial(req, apiKey, scope);
+      if (denial) {
+        return res.status(403).json({ error: denial });
+      }
+      req.apiKey = apiKey;
     }
     req.user = user;
     next();
+  }).catch(error => {
+    console.error('Token verification error:', error);
+    res.status(500).json({ error: 'Failed to verify token' });
   });
 }
 
-export function requireAdmin(req, res, next) {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ error: 'Admin access required' });
+export function authenticateToken(req, res, next) {
+  authenticate(req, res, next);
+}
+
+// Like authenticateToken, but API keys need the given scope instead of the default one
+export function authenticateWithScope(scope) {
+  return (req, res, next) => authenticate(req, res, next, { scope });
+}
+
+// Account management only accepts a logged-in session, never an API key
+export function authenticateSession(req, res, next) {
+  authenticate(req, res, next, { allowApiKeys: false });
+}
+
+// EventSource cannot send headers, so streaming routes also take the token from the query string
+export function authenticateStream(req, res, next) {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
   }
-  next();
-}
\ No newline at end of file
+  authenticateToken(req, res, next);
+}
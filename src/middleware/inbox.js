@@ -0,0 +1,23 @@
+import { inboxTokenFrom, resolvePublicInbox, resolveInboxOwner } from '../services/inbox-tokens.js';
+
+function inboxMiddleware(resolve) {
+  return async (req, res, next) => {
+    try {
+      const inbox = await resolve(req.params.email, inboxTokenFrom(req));
+      if (!inbox.tempEmail) {
+        return res.status(inbox.status).json({ error: inbox.error });
+      }
+      req.tempEmail = inbox.tempEmail;
+      next();
+    } catch (error) {
+      console.error('Inbox token check failed:', error);
+      res.status(500).json({ error: 'Failed to authorize inbox access' });
+    }
+  };
+}
+
+// Read access to /emails/public/:email: the inbox token, or an inbox marked public
+export const requireInboxAccess = inboxMiddleware(resolvePublicInbox);
+
+// Managing an anonymous inbox always needs its token
+export const requireInboxToken = inboxMiddleware(resolveInboxOwner);
@@ -0,0 +1,57 @@
+import { consume } from '../services/ratelimit/index.js';
+
+// Per-route defaults; each can be overridden with RATE_LIMIT_<NAME>="<requests>/<seconds>"
+export const RATE_LIMITS = {
+  'login': { limit: 20, windowSeconds: 15 * 60 },
+  'register': { limit: 10, windowSeconds: 60 * 60 },
+  'account-mail': { limit: 10, windowSeconds: 60 * 60 },
+  'create': { limit: 60, windowSeconds: 60 * 60 },
+  'public-create': { limit: 10, windowSeconds: 60 * 60 },
+  'public-read': { limit: 120, windowSeconds: 60 },
+  'public-inbox': { limit: 300, windowSeconds: 60 },
+  'image-proxy': { limit: 300, windowSeconds: 60 },
+  'webhook': { limit: 600, windowSeconds: 60 },
+  'inbound-recipient': { limit: 60, windowSeconds: 60 }
+};
+
+const KEYS = {
+  ip: req => req.ip,
+  // Falls back to the IP on routes where authentication is optional
+  user: req => (req.user ? `user:${req.user.id}` : req.ip)
+};
+
+export function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.resetSeconds);
+}
+
+export function sendRateLimited(res, result, message = 'Too many requests, please try again later') {
+  res.setHeader('Retry-After', result.resetSeconds);
+  return res.status(429).json({ error: message, retryAfter: result.resetSeconds });
+}
+
+// Limit a route by bucket: "ip", "user" (after authentication) or a function of the request,
+// e.g. the recipient address
+export function rateLimit(name, key = 'ip') {
+  const getKey = typeof key === 'function' ? key : KEYS[key];
+
+  return async (req, res, next) => {
+    const result = await consume(name, getKey(req), RATE_LIMITS[name]);
+    if (!result) {
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+    if (result.limited) {
+      return sendRateLimited(res, result);
+    }
+    next();
+  };
+}
+
+// Check a bucket from inside a handler, for keys only known after parsing the request
+export function consumeRateLimit(name, identifier) {
+  return consume(name, identifier, RATE_LIMITS[name]);
+}
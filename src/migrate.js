@@ -0,0 +1,38 @@
+import { pool } from './db/init.js';
+import { runMigrations, rollbackMigrations, getMigrationStatus } from './db/migrate.js';
+
+// Usage: node src/migrate.js [up | down [steps] | status]
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = await runMigrations(pool);
+      console.log(applied.length > 0
+        ? `✅ Applied migrations: ${applied.join(', ')}`
+        : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await rollbackMigrations(pool, parseInt(arg, 10) || 1);
+      console.log(reverted.length > 0
+        ? `✅ Reverted migrations: ${reverted.join(', ')}`
+        : 'Nothing to revert');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(pool);
+      for (const migration of status) {
+        const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migration.version}_${migration.name}: ${state}`);
+      }
+      const pending = status.filter(migration => !migration.applied).length;
+      console.log(`${pending} pending migration(s)`);
+    } else {
+      console.error(`Unknown command: ${command}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
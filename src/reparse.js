@@ -0,0 +1,20 @@
+import { reparseReceivedEmails } from './services/mail-ingest.js';
+
+// Usage: node src/reparse.js [--temp-email <id>] [email id ...]
+async function main() {
+  const args = process.argv.slice(2);
+  const tempEmailIndex = args.indexOf('--temp-email');
+  const tempEmailId = tempEmailIndex >= 0 ? args.splice(tempEmailIndex, 2)[1] : null;
+  const emailIds = args.length > 0 ? args : null;
+
+  try {
+    const report = await reparseReceivedEmails({ emailIds, tempEmailId });
+    console.log(`✅ Re-parsed ${report.parsed} email(s), ${report.failed} failed, ${report.skipped} without a readable source`);
+    process.exit(report.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Re-parse failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,200 @@
+import express from 'express';
+import { requireAdminScope } from '../middleware/admin.js';
+import {
+  ADMIN_SCOPES,
+  invalidScopes,
+  listAdminKeys,
+  findAdminKey,
+  createAdminKey,
+  rotateAdminKey,
+  revokeAdminKey
+} from '../services/admin-keys.js';
+import {
+  listRetentionPolicies,
+  saveRetentionPolicy,
+  deleteRetentionPolicy,
+  RetentionError
+} from '../services/retention.js';
+import { cleanupOldEmails, CleanupInProgressError } from '../utils/cleanup.js';
+import { reparseReceivedEmails } from '../services/mail-ingest.js';
+
+const router = express.Router();
+
+// Scopes of a key that the requesting credential does not hold itself
+function scopesBeyond(req, scopes) {
+  return scopes.filter(scope => !req.admin.scopes.includes(scope));
+}
+
+// Load a key the requester may manage: rotating or revoking a key with more scopes than
+// your own would hand those scopes over (or take them away) without holding them
+async function loadManageableKey(req, res) {
+  const key = await findAdminKey(req.params.id);
+  if (!key || key.revoked_at) {
+    res.status(404).json({ error: 'Admin key not found' });
+    return null;
+  }
+  const escalated = scopesBeyond(req, key.scopes);
+  if (escalated.length > 0) {
+    res.status(403).json({ error: `Cannot manage a key with scopes you do not hold: ${escalated.join(', ')}` });
+    return null;
+  }
+  return key;
+}
+
+// List admin API keys (secrets are never returned)
+router.get('/keys', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    res.json(await listAdminKeys());
+  } catch (error) {
+    console.error('Failed to list admin keys:', error);
+    res.status(500).json({ error: 'Failed to list admin keys' });
+  }
+});
+
+// Create an admin API key; the plaintext key is only shown in this response
+router.post('/keys', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'Name and at least one scope are required' });
+    }
+
+    const unknown = invalidScopes(scopes);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown scopes: ${unknown.join(', ')}`,
+        validScopes: ADMIN_SCOPES
+      });
+    }
+
+    // A key cannot grant more than the credential that creates it
+    const escalated = scopesBeyond(req, scopes);
+    if (escalated.length > 0) {
+      return res.status(403).json({ error: `Cannot grant scopes you do not hold: ${escalated.join(', ')}` });
+    }
+
+    res.status(201).json(await createAdminKey({ name, scopes, createdBy: req.admin.userId }));
+  } catch (error) {
+    console.error('Failed to create admin key:', error);
+    res.status(500).json({ error: 'Failed to create admin key' });
+  }
+});
+
+// Rotate an admin API key's secret
+router.post('/keys/:id/rotate', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    if (!(await loadManageableKey(req, res))) {
+      return;
+    }
+    const key = await rotateAdminKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'Admin key not found' });
+    }
+    res.json(key);
+  } catch (error) {
+    console.error('Failed to rotate admin key:', error);
+    res.status(500).json({ error: 'Failed to rotate admin key' });
+  }
+});
+
+// Revoke an admin API key
+router.delete('/keys/:id', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    if (!(await loadManageableKey(req, res))) {
+      return;
+    }
+    const revoked = await revokeAdminKey(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Admin key not found' });
+    }
+    res.json({ message: 'Admin key revoked successfully' });
+  } catch (error) {
+    console.error('Failed to revoke admin key:', error);
+    res.status(500).json({ error: 'Failed to revoke admin key' });
+  }
+});
+
+// Server defaults and the per-domain and per-tier retention policies
+router.get('/retention/policies', requireAdminScope('retention:manage'), async (req, res) => {
+  try {
+    res.json(await listRetentionPolicies());
+  } catch (error) {
+    console.error('Failed to list retention policies:', error);
+    res.status(500).json({ error: 'Failed to list retention policies' });
+  }
+});
+
+// Create or replace the policy for one domain or one tier
+router.put('/retention/policies', requireAdminScope('retention:manage'), async (req, res) => {
+  try {
+    const { domain_id: domainId, tier, mail_ttl_hours, address_ttl_hours, grace_hours } = req.body;
+    res.json(await saveRetentionPolicy({ domainId, tier, mail_ttl_hours, address_ttl_hours, grace_hours }));
+  } catch (error) {
+    if (error instanceof RetentionError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to save retention policy:', error);
+    res.status(500).json({ error: 'Failed to save retention policy' });
+  }
+});
+
+router.delete('/retention/policies/:id', requireAdminScope('retention:manage'), async (req, res) => {
+  try {
+    const deleted = await deleteRetentionPolicy(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Retention policy not found' });
+    }
+    res.json({ message: 'Retention policy deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete retention policy:', error);
+    res.status(500).json({ error: 'Failed to delete retention policy' });
+  }
+});
+
+// Report what a cleanup run would delete without deleting anything
+router.get('/retention/preview', requireAdminScope('retention:manage'), async (req, res) => {
+  try {
+    res.json(await cleanupOldEmails({ dryRun: true }));
+  } catch (error) {
+    if (error instanceof CleanupInProgressError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Failed to preview cleanup:', error);
+    res.status(500).json({ error: 'Failed to preview cleanup' });
+  }
+});
+
+// Run the cleanup now and return its report
+router.post('/retention/run', requireAdminScope('retention:manage'), async (req, res) => {
+  try {
+    res.json(await cleanupOldEmails());
+  } catch (error) {
+    if (error instanceof CleanupInProgressError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Failed to run cleanup:', error);
+    res.status(500).json({ error: 'Failed to run cleanup' });
+  }
+});
+
+// Rebuild received email fields from their stored raw sources for the given "email_ids"
+// or "temp_email_id". Re-parsing everything is left to `npm run reparse`
+router.post('/emails/reparse', requireAdminScope('mail:manage'), async (req, res) => {
+  try {
+    const { email_ids: emailIds, temp_email_id: tempEmailId } = req.body;
+    if (emailIds !== undefined && !Array.isArray(emailIds)) {
+      return res.status(400).json({ error: 'email_ids must be an array' });
+    }
+    if (!emailIds?.length && !tempEmailId) {
+      return res.status(400).json({ error: 'email_ids or temp_email_id is required' });
+    }
+
+    res.json(await reparseReceivedEmails({ emailIds, tempEmailId }));
+  } catch (error) {
+    console.error('Failed to re-parse emails:', error);
+    res.status(500).json({ error: 'Failed to re-parse emails' });
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import {
+  PERSONAL_SCOPES,
+  PersonalKeyError,
+  listPersonalKeys,
+  createPersonalKey,
+  revokePersonalKey
+} from '../services/personal-keys.js';
+
+const router = express.Router();
+
+// List the user's API keys, revoked ones included (secrets are never returned)
+router.get('/', authenticateSession, async (req, res) => {
+  try {
+    res.json(await listPersonalKeys(req.user.id));
+  } catch (error) {
+    console.error('Failed to list API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Create an API key: { name, scopes, temp_email_id?, expires_at? }. The plaintext key is
+// only shown in this response
+router.post('/', authenticateSession, async (req, res) => {
+  try {
+    const { name, scopes, temp_email_id: tempEmailId, expires_at: expiresAt } = req.body;
+    res.status(201).json(await createPersonalKey(req.user.id, { name, scopes, tempEmailId, expiresAt }));
+  } catch (error) {
+    if (error instanceof PersonalKeyError) {
+      return res.status(error.status).json({ error: error.message, validScopes: PERSONAL_SCOPES });
+    }
+    console.error('Failed to create API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+router.delete('/:id', authenticateSession, async (req, res) => {
+  try {
+    if (!(await revokePersonalKey(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Failed to revoke API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
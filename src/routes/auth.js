@@ -1,14 +1,34 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateSession } from '../middleware/auth.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} from '../services/sessions.js';
+import {
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../services/account-tokens.js';
+import { lockedForSeconds, recordFailedLogin, clearFailedLogins } from '../services/login-lockout.js';
+import { rateLimit } from '../middleware/rate-limit.js';
 
 const router = express.Router();
 
+function sendLockedOut(res, seconds) {
+  res.setHeader('Retry-After', seconds);
+  return res.status(429).json({
+    error: 'Too many failed login attempts, please try again later',
+    retryAfter: seconds
+  });
+}
+
 // Register a new user
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -35,8 +55,15 @@ router.post('/register', async (req, res) => {
       [id, email, hashedPassword]
     );
 
-    const token = jwt.sign({ id, email }, process.env.JWT_SECRET);
-    res.json({ token, user: { id, email, isAdmin: false } });
+    // A failed verification email should not fail the registration
+    try {
+      await sendVerificationEmail({ id, email });
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+    }
+
+    const tokens = await createSession({ id, email, is_admin: false }, req);
+    res.json({ ...tokens, user: { id, email, isAdmin: false, emailVerified: false } });
   } catch (error) {
     console.error('Registration error details:', error);
     res.status(500).json({
@@ -47,7 +74,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login with email and password
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -66,29 +93,43 @@ router.post('/login', async (req, res) => {
     }
 
     const user = users[0];
-    const validPassword = await bcrypt.compare(password, user.password);
+
+    // Locked accounts are refused without checking the password
+    const lockedFor = lockedForSeconds(user);
+    if (lockedFor > 0) {
+      return sendLockedOut(res, lockedFor);
+    }
+
+    // Accounts created through single sign-on have no password
+    const validPassword = user.password !== null && await bcrypt.compare(password, user.password);
 
     if (!validPassword) {
+      const lockSeconds = await recordFailedLogin(user);
+      if (lockSeconds > 0) {
+        return sendLockedOut(res, lockSeconds);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await clearFailedLogins(user.id);
+    }
+
     // Update last login
     await pool.query(
       'UPDATE users SET last_login = NOW() WHERE id = ?',
       [user.id]
     );
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, isAdmin: user.is_admin },
-      process.env.JWT_SECRET
-    );
+    const tokens = await createSession(user, req);
 
     res.json({
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        emailVerified: Boolean(user.email_verified_at)
       }
     });
   } catch (error) {
@@ -101,13 +142,13 @@ router.post('/login', async (req, res) => {
 });
 
 // Change password
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateSession, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
     // Validate input
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Current password and new password are required' });
+    if (!newPassword) {
+      return res.status(400).json({ error: 'New password is required' });
     }
 
     // Validate new password length (at least 8 characters)
@@ -129,16 +170,23 @@ router.post('/change-password', authenticateToken, async (req, res) => {
 
     const user = users[0];
 
-    // Verify current password
-    const validPassword = await bcrypt.compare(currentPassword, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Current password is incorrect' });
-    }
+    // Passwordless single sign-on accounts may set a first password without a current one
+    if (user.password !== null) {
+      if (!currentPassword) {
+        return res.status(400).json({ error: 'Current password and new password are required' });
+      }
 
-    // Prevent using the same password
-    const isSamePassword = await bcrypt.compare(newPassword, user.password);
-    if (isSamePassword) {
-      return res.status(400).json({ error: 'New password must be different from current password' });
+      // Verify current password
+      const validPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!validPassword) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      // Prevent using the same password
+      const isSamePassword = await bcrypt.compare(newPassword, user.password);
+      if (isSamePassword) {
+        return res.status(400).json({ error: 'New password must be different from current password' });
+      }
     }
 
     // Hash new password
@@ -150,8 +198,12 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       [hashedPassword, userId]
     );
 
+    // Sign out every existing session, then keep this client signed in with a fresh one
+    await revokeAllSessions(userId);
+    const tokens = await createSession(user, req);
+
     // Send success response
-    res.json({ message: 'Password updated successfully' });
+    res.json({ message: 'Password updated successfully', ...tokens });
 
   } catch (error) {
     console.error('Password change error:', error);
@@ -159,4 +211,171 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// Request a password reset link; the response never reveals whether the email is registered
+router.post('/forgot-password', rateLimit('account-mail'), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const [users] = await pool.query(
+      'SELECT id, email FROM users WHERE email = ?',
+      [email]
+    );
+
+    // Answer the same way whatever happens so the response does not reveal registered emails
+    if (users.length > 0) {
+      try {
+        const sent = await sendPasswordResetEmail(users[0]);
+        if (!sent) {
+          console.warn('Password reset email rate limited for user:', users[0].id);
+        }
+      } catch (error) {
+        console.error('Password reset email failed for user:', users[0].id, error);
+      }
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    // Validate new password length (at least 8 characters)
+    if (newPassword.length < 8) {
+      return res.status(400).json({ error: 'New password must be at least 8 characters long' });
+    }
+
+    const userId = await consumeAccountToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await pool.query(
+      'UPDATE users SET password = ? WHERE id = ?',
+      [hashedPassword, userId]
+    );
+
+    // Whoever had the old password must not stay signed in
+    await revokeAllSessions(userId);
+    // Proving control of the mailbox lifts a lockout
+    await clearFailedLogins(userId);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address with a verification token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userId = await consumeAccountToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL',
+      [userId]
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateSession, rateLimit('account-mail', 'user'), async (req, res) => {
+  try {
+    const [users] = await pool.query(
+      'SELECT id, email, email_verified_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (users[0].email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const sent = await sendVerificationEmail(users[0]);
+    if (!sent) {
+      return res.status(429).json({ error: 'Too many verification emails, try again later' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out the current session
+router.post('/logout', authenticateSession, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Log out every session of the current user
+router.post('/logout-all', authenticateSession, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.json({ message: 'All sessions logged out successfully', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out sessions' });
+  }
+});
+
 export default router;
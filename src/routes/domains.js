@@ -1,17 +1,73 @@
+import crypto from 'crypto';
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireAdminScope } from '../middleware/admin.js';
 import { pool } from '../db/init.js';
+import { removeAttachmentsForEmails } from '../services/attachments.js';
+import { removeRawMessagesForEmails } from '../services/raw-messages.js';
+import { verifyDomain, verificationInstructions } from '../services/domain-verification.js';
 
 const router = express.Router();
 
+// Only active, verified domains may be offered for new addresses
+const AVAILABLE_DOMAINS = `
+  SELECT id, domain, created_at FROM domains
+  WHERE is_active = TRUE AND verified_at IS NOT NULL
+  ORDER BY created_at DESC
+`;
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+function normalizeDomain(domain) {
+  return typeof domain === 'string' ? domain.trim().toLowerCase().replace(/\.$/, '') : '';
+}
+
+// DKIM private keys never leave the server
+function toAdminDomain({ dkim_private_key: privateKey, ...domain }) {
+  return { ...domain, dkim_enabled: Boolean(domain.dkim_selector && privateKey) };
+}
+
+// The TXT record that publishes a domain's DKIM public key
+function dkimRecord(domain, selector, privateKey) {
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+  return {
+    name: `${selector}._domainkey.${domain}`,
+    value: `v=DKIM1; k=rsa; p=${publicKey.toString('base64')}`
+  };
+}
+
+async function findDomain(id) {
+  const [domains] = await pool.query('SELECT * FROM domains WHERE id = ?', [id]);
+  return domains[0] || null;
+}
+
+// Count what deleting a domain would take with it
+async function deletionPreview(domainId) {
+  const [[counts]] = await pool.query(`
+    SELECT
+      COUNT(DISTINCT te.id) AS temp_emails,
+      COUNT(DISTINCT CASE WHEN te.expires_at > NOW() THEN te.id END) AS active_temp_emails,
+      COUNT(DISTINCT re.id) AS received_emails,
+      COUNT(DISTINCT ea.id) AS attachments
+    FROM temp_emails te
+    LEFT JOIN received_emails re ON re.temp_email_id = te.id
+    LEFT JOIN email_attachments ea ON ea.email_id = re.id
+    WHERE te.domain_id = ?
+  `, [domainId]);
+
+  return {
+    temp_emails: Number(counts.temp_emails),
+    active_temp_emails: Number(counts.active_temp_emails),
+    received_emails: Number(counts.received_emails),
+    attachments: Number(counts.attachments)
+  };
+}
+
 // Get public domains (no auth required)
 router.get('/public', async (req, res) => {
   try {
-    // Remove authentication requirement for this route
-    const [domains] = await pool.query(
-      'SELECT * FROM domains ORDER BY created_at DESC'
-    );
+    const [domains] = await pool.query(AVAILABLE_DOMAINS);
     res.json(domains);
   } catch (error) {
     console.error('Failed to fetch public domains:', error);
@@ -22,27 +78,266 @@ router.get('/public', async (req, res) => {
 // Protected routes
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const [domains] = await pool.query('SELECT * FROM domains ORDER BY created_at DESC');
+    const [domains] = await pool.query(AVAILABLE_DOMAINS);
     res.json(domains);
   } catch (error) {
     res.status(400).json({ error: 'Failed to fetch domains' });
   }
 });
 
-router.post('/add', authenticateToken, requireAdmin, async (req, res) => {
+// Every domain with its status, for admins
+router.get('/admin', requireAdminScope('domains:write'), async (req, res) => {
   try {
-    const { domain } = req.body;
+    const [domains] = await pool.query('SELECT * FROM domains ORDER BY created_at DESC');
+    res.json(domains.map(toAdminDomain));
+  } catch (error) {
+    console.error('Failed to fetch domains:', error);
+    res.status(500).json({ error: 'Failed to fetch domains' });
+  }
+});
+
+// New domains stay unavailable until their DNS records are verified
+router.post('/add', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.body.domain);
+    if (!DOMAIN_PATTERN.test(domain)) {
+      return res.status(400).json({ error: 'Invalid domain name' });
+    }
+
     const id = uuidv4();
+    const verificationToken = crypto.randomBytes(16).toString('hex');
 
     await pool.query(
-      'INSERT INTO domains (id, domain) VALUES (?, ?)',
-      [id, domain]
+      'INSERT INTO domains (id, domain, verification_token) VALUES (?, ?, ?)',
+      [id, domain, verificationToken]
     );
 
-    res.json({ id, domain });
+    const created = await findDomain(id);
+    res.json({ ...toAdminDomain(created), verification: verificationInstructions(created) });
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Domain already exists' });
+    }
     res.status(400).json({ error: 'Failed to add domain' });
   }
 });
 
+// Rename, enable or disable a domain; renaming requires verifying again and is only
+// possible while the domain has no addresses
+router.patch('/:id', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (req.body.domain !== undefined) {
+      const name = normalizeDomain(req.body.domain);
+      if (!DOMAIN_PATTERN.test(name)) {
+        return res.status(400).json({ error: 'Invalid domain name' });
+      }
+      if (name !== domain.domain) {
+        // Addresses store the full email, so they would keep the old name and stop receiving mail
+        const [[{ total }]] = await pool.query(
+          'SELECT COUNT(*) AS total FROM temp_emails WHERE domain_id = ?',
+          [domain.id]
+        );
+        if (total > 0) {
+          return res.status(409).json({ error: 'Domain has temporary emails and cannot be renamed' });
+        }
+        updates.push('domain = ?', 'verified_at = NULL', 'verification_error = NULL');
+        params.push(name);
+      }
+    }
+
+    if (req.body.is_active !== undefined) {
+      if (typeof req.body.is_active !== 'boolean') {
+        return res.status(400).json({ error: 'is_active must be a boolean' });
+      }
+      updates.push('is_active = ?');
+      params.push(req.body.is_active);
+    }
+
+    if (updates.length > 0) {
+      await pool.query(`UPDATE domains SET ${updates.join(', ')} WHERE id = ?`, [...params, domain.id]);
+    }
+
+    res.json(toAdminDomain(await findDomain(domain.id)));
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Domain already exists' });
+    }
+    console.error('Failed to update domain:', error);
+    res.status(400).json({ error: 'Failed to update domain' });
+  }
+});
+
+// The DNS records to publish and the result of the last check
+router.get('/:id/verification', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({
+      verified: Boolean(domain.verified_at),
+      verified_at: domain.verified_at,
+      last_checked_at: domain.last_checked_at,
+      error: domain.verification_error,
+      records: verificationInstructions(domain)
+    });
+  } catch (error) {
+    console.error('Failed to fetch domain verification:', error);
+    res.status(500).json({ error: 'Failed to fetch domain verification' });
+  }
+});
+
+// Look up the MX and TXT records now
+router.post('/:id/verify', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const result = await verifyDomain(domain);
+    res.status(result.verified ? 200 : 422).json({
+      ...result,
+      records: verificationInstructions(domain)
+    });
+  } catch (error) {
+    console.error('Failed to verify domain:', error);
+    res.status(502).json({ error: 'DNS lookup failed' });
+  }
+});
+
+// Sign mail sent from this domain with DKIM; the response holds the DNS record to publish
+router.put('/:id/dkim', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const { selector, private_key: privateKey } = req.body;
+    if (typeof selector !== 'string' || !/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(selector)) {
+      return res.status(400).json({ error: 'A valid selector is required' });
+    }
+
+    let record;
+    try {
+      const key = crypto.createPrivateKey(privateKey);
+      if (key.asymmetricKeyType !== 'rsa') {
+        return res.status(400).json({ error: 'DKIM keys must be RSA' });
+      }
+      record = dkimRecord(domain.domain, selector, key);
+    } catch (error) {
+      return res.status(400).json({ error: 'private_key must be a PEM encoded private key' });
+    }
+
+    await pool.query(
+      'UPDATE domains SET dkim_selector = ?, dkim_private_key = ? WHERE id = ?',
+      [selector, privateKey, domain.id]
+    );
+
+    res.json({ domain: domain.domain, selector, record });
+  } catch (error) {
+    console.error('Failed to configure DKIM:', error);
+    res.status(500).json({ error: 'Failed to configure DKIM' });
+  }
+});
+
+router.get('/:id/dkim', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    if (!domain.dkim_selector || !domain.dkim_private_key) {
+      return res.json({ domain: domain.domain, enabled: false });
+    }
+
+    res.json({
+      domain: domain.domain,
+      enabled: true,
+      selector: domain.dkim_selector,
+      record: dkimRecord(domain.domain, domain.dkim_selector, domain.dkim_private_key)
+    });
+  } catch (error) {
+    console.error('Failed to fetch DKIM settings:', error);
+    res.status(500).json({ error: 'Failed to fetch DKIM settings' });
+  }
+});
+
+router.delete('/:id/dkim', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'UPDATE domains SET dkim_selector = NULL, dkim_private_key = NULL WHERE id = ?',
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    res.json({ message: 'DKIM signing disabled' });
+  } catch (error) {
+    console.error('Failed to disable DKIM:', error);
+    res.status(500).json({ error: 'Failed to disable DKIM' });
+  }
+});
+
+// What a delete would remove, so admins can check before confirming
+router.get('/:id/delete-preview', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({ domain: domain.domain, cascade: await deletionPreview(domain.id) });
+  } catch (error) {
+    console.error('Failed to preview domain deletion:', error);
+    res.status(500).json({ error: 'Failed to preview domain deletion' });
+  }
+});
+
+// Delete a domain and, through the foreign keys, its addresses and mail.
+// Domains that still have addresses need ?confirm=true
+router.delete('/:id', requireAdminScope('domains:write'), async (req, res) => {
+  try {
+    const domain = await findDomain(req.params.id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const cascade = await deletionPreview(domain.id);
+    if (cascade.temp_emails > 0 && req.query.confirm !== 'true') {
+      return res.status(409).json({
+        error: 'Domain has temporary emails; repeat with ?confirm=true to delete them',
+        cascade
+      });
+    }
+
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE te.domain_id = ?
+    `, [domain.id]);
+
+    // Stored attachment objects and raw sources are not covered by the foreign key cascade
+    await removeAttachmentsForEmails(receivedEmails.map(email => email.id));
+    await removeRawMessagesForEmails(receivedEmails.map(email => email.id));
+    await pool.query('DELETE FROM domains WHERE id = ?', [domain.id]);
+
+    res.json({ message: 'Domain deleted successfully', cascade });
+  } catch (error) {
+    console.error('Failed to delete domain:', error);
+    res.status(400).json({ error: 'Failed to delete domain' });
+  }
+});
+
 export default router;
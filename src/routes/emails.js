@@ -1,11 +1,289 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import { authenticateToken } from '../middleware/auth.js';
+import { RE2JS } from 're2js';
+import { authenticateToken, authenticateStream, authenticateWithScope } from '../middleware/auth.js';
+import { requireAdminScope } from '../middleware/admin.js';
 import { pool } from '../db/init.js';
+import { openEventStream, waitForInboxEvent } from '../services/realtime/index.js';
+import {
+  withAttachments,
+  sendAttachment,
+  removeAttachmentsForEmails
+} from '../services/attachments.js';
+import { sendRawMessage, writeMbox, removeRawMessagesForEmails } from '../services/raw-messages.js';
+import { searchReceivedEmails } from '../services/search.js';
+import { listExtractions, latestExtraction } from '../services/extraction/index.js';
+import {
+  validateIds,
+  updateMessageState,
+  deleteMessages,
+  MessageStateError
+} from '../services/message-state.js';
+import { createTempEmail, AddressError } from '../services/addresses.js';
+import { parsePageParams, paginate, formatPage, PaginationError } from '../utils/pagination.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { requireInboxAccess, requireInboxToken } from '../middleware/inbox.js';
+import { generateInboxToken, rotateInboxToken, setInboxVisibility } from '../services/inbox-tokens.js';
+import { sanitizeEmailHtml, REMOTE_IMAGE_MODES } from '../services/html-sanitizer.js';
+import {
+  sendFromTempEmail,
+  replyToReceivedEmail,
+  getSendUsage,
+  SendError
+} from '../services/outbound.js';
+import {
+  imageProxyUrl,
+  verifyImageSignature,
+  fetchImage,
+  ImageProxyError
+} from '../services/image-proxy.js';
 import compression from 'compression';
 
 const router = express.Router();
 
+const MAX_WAIT_SECONDS = parseInt(process.env.LONG_POLL_MAX_SECONDS, 10) || 120;
+const DEFAULT_WAIT_SECONDS = 30;
+const MAX_SUBJECT_PATTERN_LENGTH = 200;
+
+// Scraping one public inbox from many IPs still hits the per-address bucket
+const rateLimitInbox = rateLimit('public-inbox', req => req.params.email.toLowerCase());
+
+function parseDateFilter(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Newest code or link of a temporary email: ?kind= (otp, verification_link, unsubscribe_link),
+// ?since= to ignore older mail and ?min_confidence= between 0 and 1
+async function sendLatestExtraction(req, res, tempEmailId) {
+  const kind = req.query.kind || 'otp';
+  if (!/^[a-z_]{1,32}$/.test(kind)) {
+    return res.status(400).json({ error: 'Invalid kind' });
+  }
+  const since = parseDateFilter(req.query.since);
+  if (since === null) {
+    return res.status(400).json({ error: 'Invalid since date' });
+  }
+  const minConfidence = req.query.min_confidence === undefined ? 0 : Number(req.query.min_confidence);
+  if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    return res.status(400).json({ error: 'min_confidence must be between 0 and 1' });
+  }
+
+  const extraction = await latestExtraction(tempEmailId, { kind, since, minConfidence });
+  if (!extraction) {
+    return res.status(404).json({ error: `No ${kind} found` });
+  }
+  res.json(extraction);
+}
+
+// Options for waiting on the next email: ?timeout= seconds, ?from= (part of the sender),
+// ?subject= (case-insensitive regex), ?after= (mail received since then that already matches is
+// returned at once) and ?timeout_status= 204 or 408. Returns { error } for invalid input
+function parseWaitOptions(query) {
+  const timeout = query.timeout === undefined ? DEFAULT_WAIT_SECONDS : Number(query.timeout);
+  if (!Number.isFinite(timeout) || timeout <= 0 || timeout > MAX_WAIT_SECONDS) {
+    return { error: `timeout must be between 1 and ${MAX_WAIT_SECONDS} seconds` };
+  }
+
+  const timeoutStatus = query.timeout_status === undefined ? 204 : Number(query.timeout_status);
+  if (![204, 408].includes(timeoutStatus)) {
+    return { error: 'timeout_status must be 204 or 408' };
+  }
+
+  const after = parseDateFilter(query.after);
+  if (after === null) {
+    return { error: 'Invalid after date' };
+  }
+
+  // RE2 matches in linear time, so a caller-supplied pattern cannot backtrack for ages
+  // on a crafted subject
+  let subject = null;
+  if (query.subject !== undefined) {
+    if (String(query.subject).length > MAX_SUBJECT_PATTERN_LENGTH) {
+      return { error: `subject pattern must be at most ${MAX_SUBJECT_PATTERN_LENGTH} characters` };
+    }
+    try {
+      subject = RE2JS.compile(String(query.subject), RE2JS.CASE_INSENSITIVE);
+    } catch (error) {
+      return { error: 'subject is not a valid regular expression' };
+    }
+  }
+
+  return {
+    timeoutMs: timeout * 1000,
+    timeoutStatus,
+    after,
+    subject,
+    from: query.from ? String(query.from).toLowerCase() : null
+  };
+}
+
+function matchesWaitFilters(email, options) {
+  if (options.from && !(email.from_email || '').toLowerCase().includes(options.from)) {
+    return false;
+  }
+  if (options.subject && !options.subject.test(email.subject || '')) {
+    return false;
+  }
+  if (options.after && new Date(email.received_at) <= options.after) {
+    return false;
+  }
+  return true;
+}
+
+// Hold the request until a matching email reaches the inbox, then respond with it. The database
+// is only queried before and after waiting, never held while the request is open
+async function sendNextEmail(req, res, tempEmailId, { isPublic = false } = {}) {
+  const options = parseWaitOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const event = await waitForInboxEvent(tempEmailId, {
+    timeoutMs: options.timeoutMs,
+    res,
+    matches: email => matchesWaitFilters(email, options),
+    ready: async () => {
+      if (!options.after) {
+        return null;
+      }
+      const [emails] = await pool.query(`
+        SELECT id, from_email, subject, received_at
+        FROM received_emails
+        WHERE temp_email_id = ? AND received_at > ?
+        ORDER BY received_at
+        LIMIT 100
+      `, [tempEmailId, options.after]);
+      return emails.find(email => matchesWaitFilters(email, options)) || null;
+    }
+  });
+
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  if (!event) {
+    return options.timeoutStatus === 408
+      ? res.status(408).json({ error: 'No matching email arrived before the timeout' })
+      : res.status(204).end();
+  }
+
+  const [emails] = await pool.query('SELECT * FROM received_emails WHERE id = ?', [event.id]);
+  if (emails.length === 0) {
+    return res.status(404).json({ error: 'The email was deleted before it could be returned' });
+  }
+  const [email] = await withAttachments(emails, { isPublic });
+  res.json(email);
+}
+
+function sendMbox(res, tempEmail) {
+  res.setHeader('Content-Type', 'application/mbox');
+  res.setHeader('Content-Disposition', `attachment; filename="${tempEmail.email}.mbox"`);
+  return writeMbox(res, tempEmail.id);
+}
+
+// Respond with the sanitized HTML view of a received email. Inline images use the
+// attachment download tokens because <img> requests cannot carry an Authorization header
+async function sendSanitizedHtml(req, res, email) {
+  const remoteImages = req.query.images || process.env.EMAIL_REMOTE_IMAGES || 'block';
+  if (!REMOTE_IMAGE_MODES.includes(remoteImages)) {
+    return res.status(400).json({ error: `images must be one of ${REMOTE_IMAGE_MODES.join(', ')}` });
+  }
+
+  const [withFiles] = await withAttachments([email], { isPublic: true });
+  const base = process.env.PUBLIC_API_URL || '';
+  const inline = new Map(withFiles.attachments
+    .filter(attachment => attachment.content_id)
+    .map(attachment => [attachment.content_id.toLowerCase(), `${base}${attachment.download_url}`]));
+
+  const view = sanitizeEmailHtml(email.body_html, {
+    remoteImages,
+    proxyUrl: imageProxyUrl,
+    resolveContentId: cid => inline.get(cid.replace(/^cid:/i, '').toLowerCase())
+  });
+
+  res.json({
+    id: email.id,
+    html: view.html,
+    remote_images: view.remoteImages,
+    blocked_images: view.blockedImages
+  });
+}
+
+// Fetch a remote image found in an email on the reader's behalf, so senders cannot
+// see who opened a message. Only URLs signed by sendSanitizedHtml are served
+router.get('/image-proxy', rateLimit('image-proxy'), async (req, res) => {
+  try {
+    const { url, sig } = req.query;
+    if (!url || !verifyImageSignature(url, sig)) {
+      return res.status(403).json({ error: 'Invalid image signature' });
+    }
+
+    const image = await fetchImage(url);
+    res.setHeader('Content-Type', image.contentType);
+    if (image.contentLength !== null) {
+      res.setHeader('Content-Length', image.contentLength);
+    }
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    // Served images are never rendered as documents
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    image.stream.on('error', error => {
+      console.error('Image proxy stream error:', error.message);
+      res.destroy(error);
+    });
+    image.stream.pipe(res);
+  } catch (error) {
+    if (error instanceof ImageProxyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Image proxy error:', error);
+    res.status(500).json({ error: 'Failed to proxy image' });
+  }
+});
+
+// How much of the sending quota the user has used
+router.get('/send-quota', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getSendUsage(req.user.id));
+  } catch (error) {
+    console.error('Failed to fetch sending quota:', error);
+    res.status(500).json({ error: 'Failed to fetch sending quota' });
+  }
+});
+
+// Search received emails across all of the user's temporary emails
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const after = parseDateFilter(req.query.after);
+    const before = parseDateFilter(req.query.before);
+    if (after === null || before === null) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    let hasAttachments;
+    if (req.query.has_attachments !== undefined) {
+      hasAttachments = req.query.has_attachments === 'true';
+    }
+
+    const results = await searchReceivedEmails(req.user.id, {
+      q: req.query.q,
+      tempEmailId: req.query.temp_email_id,
+      senderDomain: req.query.sender_domain,
+      after,
+      before,
+      hasAttachments,
+      limit: req.query.limit
+    });
+
+    res.json(results);
+  } catch (error) {
+    console.error('Failed to search emails:', error);
+    res.status(400).json({ error: 'Failed to search emails' });
+  }
+});
+
 // Get a specific temporary email
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -24,44 +302,336 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get received emails for a specific temporary email
+// Get received emails for a specific temporary email; ?unread=true and ?starred=true filter them
 router.get('/:id/received', authenticateToken, async (req, res) => {
+  try {
+    const conditions = ['te.id = ?', 'te.user_id = ?'];
+    if (req.query.unread === 'true') {
+      conditions.push('re.is_read = FALSE');
+    }
+    if (req.query.starred === 'true') {
+      conditions.push('re.is_starred = TRUE');
+    }
+
+    const page = await paginate({
+      select: 'SELECT re.*, te.email as temp_email',
+      from: 'received_emails re JOIN temp_emails te ON re.temp_email_id = te.id',
+      where: conditions.join(' AND '),
+      params: [req.params.id, req.user.id],
+      orderColumn: 're.received_at',
+      idColumn: 're.id',
+      orderKey: 'received_at'
+    }, parsePageParams(req.query));
+
+    res.json(formatPage(page, await withAttachments(page.rows)));
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(400).json({ error: 'Failed to fetch received emails' });
+  }
+});
+
+function handleMessageStateError(res, error, message) {
+  if (error instanceof MessageStateError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Mark several received emails read/unread or starred/unstarred: { ids, read?, starred? }
+router.patch('/:id/received', authenticateToken, async (req, res) => {
+  try {
+    const { ids, read, starred } = req.body;
+    const updated = await updateMessageState(req.user.id, req.params.id, validateIds(ids), { read, starred });
+    res.json({ updated });
+  } catch (error) {
+    handleMessageStateError(res, error, 'Failed to update emails');
+  }
+});
+
+// Delete several received emails of the temporary email: { ids }
+router.post('/:id/received/delete', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteMessages(req.user.id, req.params.id, validateIds(req.body.ids));
+    res.json({ deleted });
+  } catch (error) {
+    handleMessageStateError(res, error, 'Failed to delete emails');
+  }
+});
+
+router.patch('/:id/received/:emailId', authenticateToken, async (req, res) => {
+  try {
+    const { read, starred } = req.body;
+    const updated = await updateMessageState(req.user.id, req.params.id, [req.params.emailId], { read, starred });
+    if (updated.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const [emails] = await pool.query('SELECT * FROM received_emails WHERE id = ?', [req.params.emailId]);
+    const [email] = await withAttachments(emails);
+    res.json(email);
+  } catch (error) {
+    handleMessageStateError(res, error, 'Failed to update email');
+  }
+});
+
+// Delete one received email without touching the rest of the inbox
+router.delete('/:id/received/:emailId', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteMessages(req.user.id, req.params.id, [req.params.emailId]);
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    res.json({ message: 'Email deleted successfully' });
+  } catch (error) {
+    handleMessageStateError(res, error, 'Failed to delete email');
+  }
+});
+
+// Sanitized HTML of one received email of the user's temporary email
+router.get('/:id/received/:emailId/html', authenticateToken, async (req, res) => {
   try {
     const [emails] = await pool.query(`
-      SELECT re.*, te.email as temp_email
+      SELECT re.*
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
-      ORDER BY re.received_at DESC
-    `, [req.params.id, req.user.id]);
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.id, req.user.id]);
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
 
-    res.json(emails);
+    await sendSanitizedHtml(req, res, emails[0]);
   } catch (error) {
-    res.status(400).json({ error: 'Failed to fetch received emails' });
+    console.error('Failed to render email HTML:', error);
+    res.status(500).json({ error: 'Failed to render email' });
+  }
+});
+
+// Wait for the next email that matches the filters (see parseWaitOptions)
+router.get('/:id/wait', authenticateToken, async (req, res) => {
+  try {
+    const [emails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await sendNextEmail(req, res, emails[0].id);
+  } catch (error) {
+    console.error('Failed to wait for email:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to wait for email' });
+    }
+  }
+});
+
+// Codes and links found in one received email
+router.get('/:id/received/:emailId/extractions', authenticateToken, async (req, res) => {
+  try {
+    const [emails] = await pool.query(`
+      SELECT re.id
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.id, req.user.id]);
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json(await listExtractions(emails[0].id));
+  } catch (error) {
+    console.error('Failed to fetch extractions:', error);
+    res.status(500).json({ error: 'Failed to fetch extractions' });
+  }
+});
+
+// Latest one-time code (or other ?kind) received by the user's temporary email
+router.get('/:id/extractions/latest', authenticateToken, async (req, res) => {
+  try {
+    const [emails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await sendLatestExtraction(req, res, emails[0].id);
+  } catch (error) {
+    console.error('Failed to fetch latest extraction:', error);
+    res.status(500).json({ error: 'Failed to fetch latest extraction' });
+  }
+});
+
+// Original source of one received email; ?download=true serves it as a .eml file
+router.get('/:id/received/:emailId/source', authenticateToken, async (req, res) => {
+  try {
+    const [emails] = await pool.query(`
+      SELECT re.id, re.raw_storage_key
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.id, req.user.id]);
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await sendRawMessage(res, emails[0], { download: req.query.download === 'true' });
+  } catch (error) {
+    console.error('Failed to send email source:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to fetch email source' });
+    }
+  }
+});
+
+// Every received email of the temporary email that has a stored source, as one mbox file
+router.get('/:id/mbox', authenticateToken, async (req, res) => {
+  try {
+    const [emails] = await pool.query(
+      'SELECT id, email FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await sendMbox(res, emails[0]);
+  } catch (error) {
+    console.error('Failed to export mbox:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export emails' });
+    }
+    res.destroy(error);
+  }
+});
+
+// Send a new message from the user's temporary email
+router.post('/:id/send', authenticateWithScope('mail:send'), async (req, res) => {
+  try {
+    const { to, cc, subject, text, html } = req.body;
+    res.status(201).json(await sendFromTempEmail(req.user.id, req.params.id, { to, cc, subject, text, html }));
+  } catch (error) {
+    if (error instanceof SendError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Send email error:', error);
+    res.status(500).json({ error: 'Failed to send email' });
+  }
+});
+
+// Reply to the sender of a received email
+router.post('/:id/received/:emailId/reply', authenticateWithScope('mail:send'), async (req, res) => {
+  try {
+    const { cc, text, html } = req.body;
+    res.status(201).json(await replyToReceivedEmail(req.user.id, req.params.id, req.params.emailId, { cc, text, html }));
+  } catch (error) {
+    if (error instanceof SendError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reply email error:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+// Messages sent from a temporary email
+router.get('/:id/sent', authenticateToken, async (req, res) => {
+  try {
+    const page = await paginate({
+      select: 'SELECT se.*, te.email as temp_email',
+      from: 'sent_emails se JOIN temp_emails te ON se.temp_email_id = te.id',
+      where: 'te.id = ? AND te.user_id = ?',
+      params: [req.params.id, req.user.id],
+      orderColumn: 'se.sent_at',
+      idColumn: 'se.id',
+      orderKey: 'sent_at'
+    }, parsePageParams(req.query));
+
+    res.json(formatPage(page));
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(400).json({ error: 'Failed to fetch sent emails' });
   }
 });
 
-router.post('/create', authenticateToken, async (req, res) => {
+// Stream new received emails for a temporary email as Server-Sent Events
+router.get('/:id/stream', authenticateStream, async (req, res) => {
   try {
-    const { email, domainId } = req.body;
-    const id = uuidv4();
+    const [emails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await openEventStream(req, res, emails[0].id);
+  } catch (error) {
+    console.error('Failed to open email stream:', error);
+    res.status(500).json({ error: 'Failed to open email stream' });
+  }
+});
+
+// Download an attachment of a received email owned by the current user
+router.get('/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const [attachments] = await pool.query(`
+      SELECT ea.*
+      FROM email_attachments ea
+      JOIN received_emails re ON ea.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE ea.id = ? AND te.user_id = ?
+    `, [req.params.attachmentId, req.user.id]);
+
+    if (attachments.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(res, attachments[0]);
+  } catch (error) {
+    console.error('Failed to download attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Create a temporary email; the address is generated from "pattern" unless
+// "localPart" (or a legacy full "email") is supplied
+router.post('/create', authenticateWithScope('addresses:create'), rateLimit('create', 'user'), async (req, res) => {
+  try {
+    const { email, domainId, localPart, pattern } = req.body;
     
     // Set expiry date to 2 months from now
     const expiresAt = new Date();
     expiresAt.setMonth(expiresAt.getMonth() + 2);
 
-    const [result] = await pool.query(
-      'INSERT INTO temp_emails (id, user_id, email, domain_id, expires_at) VALUES (?, ?, ?, ?, ?)',
-      [id, req.user.id, email, domainId, expiresAt]
-    );
-
-    const [createdEmail] = await pool.query(
-      'SELECT * FROM temp_emails WHERE id = ?',
-      [id]
-    );
+    const createdEmail = await createTempEmail({
+      userId: req.user.id,
+      domainId,
+      email,
+      localPart,
+      pattern,
+      expiresAt
+    });
 
-    res.json(createdEmail[0]);
+    res.json(createdEmail);
   } catch (error) {
+    if (error instanceof AddressError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create email error:', error);
     res.status(400).json({ error: 'Failed to create temporary email' });
   }
@@ -69,6 +639,17 @@ router.post('/create', authenticateToken, async (req, res) => {
 
 router.delete('/delete/:id', authenticateToken, async (req, res) => {
   try {
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE te.id = ? AND te.user_id = ?
+    `, [req.params.id, req.user.id]);
+
+    // Stored attachment objects and raw sources are not covered by the foreign key cascade
+    await removeAttachmentsForEmails(receivedEmails.map(email => email.id));
+    await removeRawMessagesForEmails(receivedEmails.map(email => email.id));
+
     const [result] = await pool.query(
       'DELETE FROM temp_emails WHERE id = ? AND user_id = ?',
       [req.params.id, req.user.id]
@@ -86,82 +667,229 @@ router.delete('/delete/:id', authenticateToken, async (req, res) => {
 
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const [emails] = await pool.query(
-      'SELECT * FROM temp_emails WHERE user_id = ? ORDER BY created_at DESC',
-      [req.user.id]
-    );
-    res.json(emails);
+    const page = await paginate({
+      select: `SELECT te.*, (
+        SELECT COUNT(*) FROM received_emails re WHERE re.temp_email_id = te.id AND re.is_read = FALSE
+      ) AS unread_count`,
+      from: 'temp_emails te',
+      where: 'te.user_id = ?',
+      params: [req.user.id],
+      orderColumn: 'te.created_at',
+      idColumn: 'te.id',
+      orderKey: 'created_at'
+    }, parsePageParams(req.query));
+
+    res.json(formatPage(page));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(400).json({ error: 'Failed to fetch emails' });
   }
 });
 
-// Get public emails (no auth required)
-router.get('/public/:email', async (req, res) => {
+// Get emails of an anonymous inbox with its inbox token, or of an inbox marked public
+router.get('/public/:email', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
   try {
-    res.setHeader('Cache-Control', 'public, max-age=5'); // Cache for 5 seconds
-    const [emails] = await pool.query(`
-      SELECT re.*, te.email as temp_email
-      FROM received_emails re
-      JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.email = ?
-      ORDER BY re.received_at DESC
-    `, [req.params.email]);
+    // Shared caches must not hand token-protected inboxes to other clients
+    res.setHeader('Cache-Control', req.tempEmail.is_public ? 'public, max-age=5' : 'private, max-age=5');
+    const page = await paginate({
+      select: 'SELECT re.*, te.email as temp_email',
+      from: 'received_emails re JOIN temp_emails te ON re.temp_email_id = te.id',
+      where: 'te.id = ?',
+      params: [req.tempEmail.id],
+      orderColumn: 're.received_at',
+      idColumn: 're.id',
+      orderKey: 'received_at'
+    }, parsePageParams(req.query));
 
-    res.json(emails);
+    res.json(formatPage(page, await withAttachments(page.rows, { isPublic: true })));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Failed to fetch public emails:', error);
     res.status(400).json({ error: 'Failed to fetch emails' });
   }
 });
 
-// Create public temporary email (no auth required)
-router.post('/public/create', async (req, res) => {
+// Stream new received emails for an anonymous inbox (?inbox_token=, since EventSource cannot send headers)
+router.get('/public/:email/stream', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
+  try {
+    await openEventStream(req, res, req.tempEmail.id);
+  } catch (error) {
+    console.error('Failed to open public email stream:', error);
+    res.status(500).json({ error: 'Failed to open email stream' });
+  }
+});
+
+// Sanitized HTML of one received email of an anonymous inbox
+router.get('/public/:email/received/:emailId/html', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
+  try {
+    const [emails] = await pool.query(
+      'SELECT * FROM received_emails WHERE id = ? AND temp_email_id = ?',
+      [req.params.emailId, req.tempEmail.id]
+    );
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await sendSanitizedHtml(req, res, emails[0]);
+  } catch (error) {
+    console.error('Failed to render public email HTML:', error);
+    res.status(500).json({ error: 'Failed to render email' });
+  }
+});
+
+// Original source of one received email of an anonymous inbox; ?download=true serves a .eml file
+router.get('/public/:email/received/:emailId/source', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
+  try {
+    const [emails] = await pool.query(
+      'SELECT id, raw_storage_key FROM received_emails WHERE id = ? AND temp_email_id = ?',
+      [req.params.emailId, req.tempEmail.id]
+    );
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await sendRawMessage(res, emails[0], { download: req.query.download === 'true' });
+  } catch (error) {
+    console.error('Failed to send public email source:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to fetch email source' });
+    }
+  }
+});
+
+// Long-poll for the next email of an anonymous inbox instead of polling the list
+router.get('/public/:email/wait', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
+  try {
+    await sendNextEmail(req, res, req.tempEmail.id, { isPublic: true });
+  } catch (error) {
+    console.error('Failed to wait for public email:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to wait for email' });
+    }
+  }
+});
+
+router.get('/public/:email/extractions/latest', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
+  try {
+    await sendLatestExtraction(req, res, req.tempEmail.id);
+  } catch (error) {
+    console.error('Failed to fetch public latest extraction:', error);
+    res.status(500).json({ error: 'Failed to fetch latest extraction' });
+  }
+});
+
+router.get('/public/:email/mbox', rateLimit('public-read'), rateLimitInbox, requireInboxAccess, async (req, res) => {
+  try {
+    await sendMbox(res, req.tempEmail);
+  } catch (error) {
+    console.error('Failed to export public mbox:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export emails' });
+    }
+    res.destroy(error);
+  }
+});
+
+// Download an attachment of a public temporary email with its download token (no auth required)
+router.get('/public/attachments/:attachmentId', rateLimit('public-read'), async (req, res) => {
   try {
-    const { email, domainId } = req.body;
-    const id = uuidv4();
+    const [attachments] = await pool.query(
+      'SELECT * FROM email_attachments WHERE id = ? AND download_token = ?',
+      [req.params.attachmentId, req.query.token || '']
+    );
+
+    if (attachments.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(res, attachments[0]);
+  } catch (error) {
+    console.error('Failed to download public attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Create an anonymous temporary email (no auth required). The response carries the
+// inbox token needed to read it; "public: true" lets anyone with the address read it
+router.post('/public/create', rateLimit('public-create'), async (req, res) => {
+  try {
+    const { email, domainId, localPart, pattern } = req.body;
     
     // Set expiry date to 48 hours from now
     const expiresAt = new Date();
     expiresAt.setHours(expiresAt.getHours() + 48);
 
-    const [result] = await pool.query(
-      'INSERT INTO temp_emails (id, email, domain_id, expires_at) VALUES (?, ?, ?, ?)',
-      [id, email, domainId, expiresAt]
-    );
-
-    const [createdEmail] = await pool.query(
-      'SELECT * FROM temp_emails WHERE id = ?',
-      [id]
-    );
+    const { token, hash } = generateInboxToken();
+    const { access_token_hash, ...createdEmail } = await createTempEmail({
+      domainId,
+      email,
+      localPart,
+      pattern,
+      expiresAt,
+      accessTokenHash: hash,
+      isPublic: req.body.public === true
+    });
 
-    res.json(createdEmail[0]);
+    res.json({ ...createdEmail, access_token: token });
   } catch (error) {
+    if (error instanceof AddressError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create public email error:', error);
     res.status(400).json({ error: 'Failed to create temporary email' });
   }
 });
 
-// Admin route to fetch all emails (admin-only)
-router.get('/admin/all', async (req, res) => {
+// Replace the inbox token of an anonymous inbox
+router.post('/public/:email/rotate-token', rateLimit('public-read'), requireInboxToken, async (req, res) => {
+  try {
+    const token = await rotateInboxToken(req.tempEmail.id);
+    res.json({ email: req.tempEmail.email, access_token: token });
+  } catch (error) {
+    console.error('Failed to rotate inbox token:', error);
+    res.status(500).json({ error: 'Failed to rotate inbox token' });
+  }
+});
+
+// Opt an anonymous inbox in or out of being readable without its token
+router.post('/public/:email/visibility', rateLimit('public-read'), requireInboxToken, async (req, res) => {
   try {
-    // Check admin passphrase
-    const adminAccess = req.headers['admin-access'];
-    if (adminAccess !== 'esrattormarechudifuck') {
-      return res.status(403).json({ error: 'Unauthorized' });
+    if (typeof req.body.public !== 'boolean') {
+      return res.status(400).json({ error: 'public must be a boolean' });
     }
+    await setInboxVisibility(req.tempEmail.id, req.body.public);
+    res.json({ email: req.tempEmail.email, public: req.body.public });
+  } catch (error) {
+    console.error('Failed to update inbox visibility:', error);
+    res.status(500).json({ error: 'Failed to update inbox visibility' });
+  }
+});
 
-    // Fetch all received emails
-    const [emails] = await pool.query(`
-      SELECT re.*, te.email as temp_email
-      FROM received_emails re
-      JOIN temp_emails te ON re.temp_email_id = te.id
-      ORDER BY re.received_at DESC
-      LIMIT 1000
-    `);
+// Admin route to fetch all emails (admin-only)
+router.get('/admin/all', requireAdminScope('mail:read'), async (req, res) => {
+  try {
+    // Fetch all received emails; compat responses keep the old 1000 row cap
+    const page = await paginate({
+      select: 'SELECT re.*, te.email as temp_email',
+      from: 'received_emails re JOIN temp_emails te ON re.temp_email_id = te.id',
+      where: '1 = 1',
+      params: [],
+      orderColumn: 're.received_at',
+      idColumn: 're.id',
+      orderKey: 'received_at'
+    }, parsePageParams(req.query), { legacyLimit: 1000 });
 
-    res.json(emails);
+    res.json(formatPage(page));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Failed to fetch admin emails:', error);
     res.status(500).json({ error: 'Failed to fetch emails' });
   }
@@ -0,0 +1,156 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import {
+  ForwardingError,
+  listDestinations,
+  addDestination,
+  resendDestinationVerification,
+  verifyDestination,
+  removeDestination,
+  listRules,
+  addRule,
+  setRuleEnabled,
+  removeRule,
+  listDeliveries,
+  retryDelivery
+} from '../services/forwarding.js';
+
+const router = express.Router();
+
+function handleError(res, error, message) {
+  if (error instanceof ForwardingError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+async function confirmDestination(res, token) {
+  try {
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const destination = await verifyDestination(token);
+    if (!destination) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+    res.json(destination);
+  } catch (error) {
+    handleError(res, error, 'Failed to verify forwarding address');
+  }
+}
+
+// Confirm a destination with the token from its confirmation email (no auth required)
+router.post('/destinations/verify', (req, res) => confirmDestination(res, req.body.token));
+
+// The link in the confirmation email lands here
+router.get('/verify', (req, res) => confirmDestination(res, req.query.token));
+
+router.get('/destinations', authenticateSession, async (req, res) => {
+  try {
+    res.json(await listDestinations(req.user.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch forwarding addresses');
+  }
+});
+
+// Add a destination; it receives a confirmation link before anything is forwarded to it
+router.post('/destinations', authenticateSession, async (req, res) => {
+  try {
+    res.status(201).json(await addDestination(req.user.id, req.body.email));
+  } catch (error) {
+    handleError(res, error, 'Failed to add forwarding address');
+  }
+});
+
+router.post('/destinations/:id/resend', authenticateSession, async (req, res) => {
+  try {
+    await resendDestinationVerification(req.user.id, req.params.id);
+    res.json({ message: 'Confirmation email sent' });
+  } catch (error) {
+    handleError(res, error, 'Failed to resend confirmation email');
+  }
+});
+
+router.delete('/destinations/:id', authenticateSession, async (req, res) => {
+  try {
+    if (!(await removeDestination(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Forwarding address not found' });
+    }
+    res.json({ message: 'Forwarding address deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete forwarding address');
+  }
+});
+
+// Rules, optionally for one temporary email (?temp_email_id=)
+router.get('/rules', authenticateSession, async (req, res) => {
+  try {
+    res.json(await listRules(req.user.id, req.query.temp_email_id));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch forwarding rules');
+  }
+});
+
+router.post('/rules', authenticateSession, async (req, res) => {
+  try {
+    const { temp_email_id: tempEmailId, destination_id: destinationId } = req.body;
+    if (!tempEmailId || !destinationId) {
+      return res.status(400).json({ error: 'temp_email_id and destination_id are required' });
+    }
+    res.status(201).json(await addRule(req.user.id, { tempEmailId, destinationId }));
+  } catch (error) {
+    handleError(res, error, 'Failed to create forwarding rule');
+  }
+});
+
+// Pause or resume a rule
+router.patch('/rules/:id', authenticateSession, async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+    if (!(await setRuleEnabled(req.user.id, req.params.id, req.body.enabled))) {
+      return res.status(404).json({ error: 'Forwarding rule not found' });
+    }
+    res.json({ id: req.params.id, enabled: req.body.enabled });
+  } catch (error) {
+    handleError(res, error, 'Failed to update forwarding rule');
+  }
+});
+
+router.delete('/rules/:id', authenticateSession, async (req, res) => {
+  try {
+    if (!(await removeRule(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Forwarding rule not found' });
+    }
+    res.json({ message: 'Forwarding rule deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete forwarding rule');
+  }
+});
+
+// Delivery status of forwarded messages, newest first
+router.get('/deliveries', authenticateSession, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json(await listDeliveries(req.user.id, { tempEmailId: req.query.temp_email_id, limit }));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch forward deliveries');
+  }
+});
+
+// Try a delivery that ran out of attempts again
+router.post('/deliveries/:id/retry', authenticateSession, async (req, res) => {
+  try {
+    if (!(await retryDelivery(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Failed delivery not found' });
+    }
+    res.json({ message: 'Delivery queued for retry' });
+  } catch (error) {
+    handleError(res, error, 'Failed to retry delivery');
+  }
+});
+
+export default router;
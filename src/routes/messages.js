@@ -1,6 +1,7 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireAdminScope } from '../middleware/admin.js';
 import { pool } from '../db/init.js';
 
 const router = express.Router();
@@ -30,15 +31,20 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create a new message (admin only)
-router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/', requireAdminScope('messages:write'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
+    // Messages record their author, and a key loses its creator when that user is deleted
+    if (!req.admin.userId) {
+      return res.status(403).json({ error: 'This admin key has no owning user; use a key created by an existing user' });
+    }
+
     const { message, type } = req.body;
     const id = uuidv4();
 
     await connection.query(
       'INSERT INTO custom_messages (id, message, type, created_by) VALUES (?, ?, ?, ?)',
-      [id, message, type, req.user.id]
+      [id, message, type, req.admin.userId]
     );
 
     const [createdMessage] = await connection.query(
@@ -74,7 +80,7 @@ router.post('/:id/dismiss', authenticateToken, async (req, res) => {
 });
 
 // Get all messages (admin only)
-router.get('/admin', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/admin', requireAdminScope('messages:read'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
     const [messages] = await connection.query(`
@@ -97,7 +103,7 @@ router.get('/admin', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Update message status (admin only)
-router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.patch('/:id', requireAdminScope('messages:write'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
     const { is_active } = req.body;
@@ -117,7 +123,7 @@ router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Delete a message (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', requireAdminScope('messages:write'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
     await connection.query('DELETE FROM custom_messages WHERE id = ?', [req.params.id]);
@@ -0,0 +1,88 @@
+import express from 'express';
+import { pool } from '../db/init.js';
+import { createSession } from '../services/sessions.js';
+import {
+  OidcError,
+  getProvider,
+  beginLogin,
+  completeLogin,
+  resolveUser,
+  isAllowedReturnTo
+} from '../services/oidc.js';
+
+const router = express.Router();
+
+function loadProvider(req, res, next) {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown or unconfigured sign-in provider' });
+  }
+  req.oidcProvider = provider;
+  next();
+}
+
+// Start an authorization-code + PKCE login; "mode=json" returns the URL instead of redirecting
+router.get('/:provider/start', loadProvider, async (req, res) => {
+  try {
+    const returnTo = req.query.return_to;
+    if (!isAllowedReturnTo(returnTo)) {
+      return res.status(400).json({ error: 'return_to is not an allowed redirect' });
+    }
+
+    const authorizationUrl = await beginLogin(req.oidcProvider, returnTo);
+
+    if (req.query.mode === 'json') {
+      return res.json({ authorizationUrl });
+    }
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({ error: 'Failed to start sign-in' });
+  }
+});
+
+// Provider redirect target: validate the ID token, sign the user in and hand back our tokens
+router.get('/:provider/callback', loadProvider, async (req, res) => {
+  try {
+    if (req.query.error) {
+      return res.status(400).json({ error: 'Sign-in was cancelled or denied', details: req.query.error });
+    }
+
+    const { claims, returnTo } = await completeLogin(req.oidcProvider, req.query);
+    const user = await resolveUser(req.oidcProvider, claims);
+
+    await pool.query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
+    const tokens = await createSession(user, req);
+
+    // Tokens travel in the fragment so they never reach server logs
+    if (returnTo) {
+      const fragment = new URLSearchParams({
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: String(tokens.expiresIn),
+        ...(user.credentials_reset ? { credentialsReset: 'true' } : {})
+      });
+      return res.redirect(`${returnTo}#${fragment}`);
+    }
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user.id,
+        email: user.email,
+        isAdmin: user.is_admin,
+        emailVerified: Boolean(user.email_verified_at)
+      },
+      // Set when linking removed the password, API keys and sessions of an unverified account
+      credentialsReset: Boolean(user.credentials_reset)
+    });
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ error: 'Sign-in failed' });
+  }
+});
+
+export default router;
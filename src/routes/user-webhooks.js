@@ -0,0 +1,89 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import {
+  WebhookError,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listWebhookDeliveries,
+  redeliver
+} from '../services/user-webhooks.js';
+
+const router = express.Router();
+
+function handleError(res, error, message) {
+  if (error instanceof WebhookError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+router.get('/', authenticateSession, async (req, res) => {
+  try {
+    res.json(await listWebhooks(req.user.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+// Register a callback for every address, or one with temp_email_id; the secret is only shown now
+router.post('/', authenticateSession, async (req, res) => {
+  try {
+    const { url, temp_email_id: tempEmailId, description } = req.body;
+    res.status(201).json(await createWebhook(req.user.id, { url, tempEmailId, description }));
+  } catch (error) {
+    handleError(res, error, 'Failed to create webhook');
+  }
+});
+
+router.patch('/:id', authenticateSession, async (req, res) => {
+  try {
+    const { url, enabled, description } = req.body;
+    res.json(await updateWebhook(req.user.id, req.params.id, { url, enabled, description }));
+  } catch (error) {
+    handleError(res, error, 'Failed to update webhook');
+  }
+});
+
+router.post('/:id/rotate-secret', authenticateSession, async (req, res) => {
+  try {
+    res.json(await rotateWebhookSecret(req.user.id, req.params.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to rotate webhook secret');
+  }
+});
+
+router.delete('/:id', authenticateSession, async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// Delivery log, newest first; ?status=dead lists the dead-letter queue
+router.get('/:id/deliveries', authenticateSession, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json(await listWebhookDeliveries(req.user.id, req.params.id, { limit, status: req.query.status }));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+// Send a past event again as a new delivery
+router.post('/deliveries/:deliveryId/redeliver', authenticateSession, async (req, res) => {
+  try {
+    res.status(202).json(await redeliver(req.user.id, req.params.deliveryId));
+  } catch (error) {
+    handleError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+export default router;
@@ -1,159 +1,115 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import { pool } from '../db/init.js';
-import { simpleParser } from 'mailparser';
-import iconv from 'iconv-lite';
+import {
+  findActiveTempEmail,
+  isAlreadyStored,
+  storeReceivedEmail,
+  buildEmailData
+} from '../services/mail-ingest.js';
+import {
+  getInboundAdapter,
+  readPayload,
+  claimReplayToken,
+  releaseReplayToken
+} from '../services/inbound/index.js';
+import { rateLimit, consumeRateLimit, sendRateLimited } from '../middleware/rate-limit.js';
 
 const router = express.Router();
 
-async function parseEmailContent(rawContent) {
-  try {
-    // Decode content if needed
-    let decodedContent = rawContent;
-    if (typeof rawContent === 'string') {
-      try {
-        // Try UTF-8 first
-        decodedContent = iconv.decode(Buffer.from(rawContent), 'utf8');
-      } catch (err) {
-        // Fallback to latin1
-        decodedContent = iconv.decode(Buffer.from(rawContent), 'latin1');
-      }
-    }
-
-    // Parse email using mailparser
-    const parsed = await simpleParser(decodedContent);
-
-    return {
-      headers: parsed.headers,
-      subject: parsed.subject,
-      from: parsed.from?.text || '',
-      to: parsed.to?.text || '',
-      text: parsed.text,
-      html: parsed.html,
-      attachments: parsed.attachments.map(attachment => ({
-        filename: attachment.filename,
-        contentType: attachment.contentType,
-        size: attachment.size,
-        content: attachment.content.toString('base64')
-      }))
-    };
-  } catch (error) {
-    console.error('Error parsing email:', error);
-    return {
-      headers: {},
-      subject: 'Unable to parse subject',
-      from: '',
-      to: '',
-      text: rawContent,
-      html: '',
-      attachments: []
-    };
-  }
+const adapter = getInboundAdapter();
+if (adapter.verifierName === 'none') {
+  console.warn(`Inbound webhook (${adapter.name}) accepts unsigned requests because INBOUND_VERIFIER=none`);
 }
 
-router.post('/email/incoming', express.urlencoded({ extended: true }), async (req, res) => {
+router.post('/email/incoming', rateLimit('webhook'), express.raw({
+  type: () => true,
+  limit: process.env.INBOUND_MAX_SIZE || '25mb'
+}), async (req, res) => {
   console.log('Received webhook request');
   console.log('Content-Type:', req.headers['content-type']);
-  console.log('Request body:', req.body);
-  
+
+  let replayToken = null;
+  let accepted = false;
   try {
-    const rawContent = req.body.body;
-    const parsedEmail = await parseEmailContent(rawContent);
-    
-    // Extract email data
-    const emailData = {
-      recipient: req.body.recipient || parsedEmail.to,
-      sender: req.body.sender || parsedEmail.from,
-      subject: parsedEmail.subject || 'No Subject',
-      body_html: parsedEmail.html || '',
-      body_text: parsedEmail.text || '',
-      attachments: parsedEmail.attachments || []
-    };
-
-    // Clean the recipient email address
-    const cleanRecipient = emailData.recipient.includes('<') ? 
-      emailData.recipient.match(/<(.+)>/)[1] : 
-      emailData.recipient.trim();
-
-    // Find the temporary email in the database
-    const [tempEmails] = await pool.query(
-      'SELECT id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
-      [cleanRecipient]
-    );
-
-    if (tempEmails.length === 0) {
-      console.error('No active temporary email found for recipient:', cleanRecipient);
-      return res.status(404).json({ 
-        error: 'Recipient not found',
-        message: 'No active temporary email found for the specified recipient'
-      });
+    let payload;
+    try {
+      payload = await readPayload(req);
+    } catch (error) {
+      console.error('Failed to decode webhook payload:', error);
+      return res.status(400).json({ error: 'Malformed payload' });
     }
 
-    const tempEmailId = tempEmails[0].id;
-    const emailId = uuidv4();
+    const verified = adapter.verify(payload);
+    if (!verified) {
+      console.error(`Rejected ${adapter.name} webhook with invalid signature`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    // Start a transaction
-    const connection = await pool.getConnection();
-    await connection.beginTransaction();
+    // A signed request is stored once; the token is released below if it is not stored
+    if (typeof verified === 'string') {
+      if (!(await claimReplayToken(verified))) {
+        console.error(`Rejected replayed ${adapter.name} webhook`);
+        return res.status(409).json({ error: 'Request was already processed' });
+      }
+      replayToken = verified;
+    }
 
-    try {
-      // Store the email
-      await connection.query(`
-        INSERT INTO received_emails (
-          id, 
-          temp_email_id, 
-          from_email, 
-          subject, 
-          body_html,
-          body_text,
-          received_at
-        ) VALUES (?, ?, ?, ?, ?, ?, NOW())
-      `, [
-        emailId,
-        tempEmailId,
-        emailData.sender,
-        emailData.subject,
-        emailData.body_html,
-        emailData.body_text
-      ]);
-
-      // Store attachments if any
-      for (const attachment of emailData.attachments) {
-        const attachmentId = uuidv4();
-        await connection.query(`
-          INSERT INTO email_attachments (
-            id,
-            email_id,
-            filename,
-            content_type,
-            size,
-            content,
-            created_at
-          ) VALUES (?, ?, ?, ?, ?, ?, NOW())
-        `, [
-          attachmentId,
-          emailId,
-          attachment.filename,
-          attachment.contentType,
-          attachment.size,
-          attachment.content
-        ]);
+    // Extract email data
+    const inbound = await adapter.extract(payload);
+    const emailData = buildEmailData(inbound.parsedEmail, inbound.sender);
+
+    const stored = [];
+    let duplicates = 0;
+    let limited = null;
+    for (const recipient of inbound.recipients) {
+      // Find the temporary email in the database
+      const tempEmail = await findActiveTempEmail(recipient);
+      if (!tempEmail) {
+        continue;
+      }
+
+      // Stored by an earlier attempt of this request that was answered with a retry
+      if (await isAlreadyStored(tempEmail.id, emailData.message_id)) {
+        duplicates++;
+        continue;
+      }
+
+      const limit = await consumeRateLimit('inbound-recipient', recipient.toLowerCase());
+      if (limit?.limited) {
+        console.error(`Deferring webhook delivery to ${recipient}: recipient rate limit exceeded`);
+        limited = limit;
+        continue;
       }
 
-      await connection.commit();
-      console.log('Email and attachments stored successfully');
+      const emailId = await storeReceivedEmail(tempEmail.id, emailData);
+      stored.push({ emailId, recipient });
+    }
 
-      res.status(200).json({
-        message: 'Email received and stored successfully',
-        emailId,
-        recipient: cleanRecipient
+    // Ask the provider to retry later when any recipient was over its limit; the copies
+    // stored now are skipped on the retry
+    if (limited) {
+      return sendRateLimited(res, limited, 'Too many messages for this recipient');
+    }
+
+    if (duplicates > 0 && stored.length === 0) {
+      accepted = true;
+      return res.status(200).json({ message: 'Email was already stored', delivered: [] });
+    }
+
+    if (stored.length === 0) {
+      console.error('No active temporary email found for recipients:', inbound.recipients);
+      return res.status(404).json({ 
+        error: 'Recipient not found',
+        message: 'No active temporary email found for the specified recipient'
       });
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
     }
+
+    accepted = true;
+    res.status(200).json({
+      message: 'Email received and stored successfully',
+      emailId: stored[0].emailId,
+      recipient: stored[0].recipient,
+      delivered: stored
+    });
   } catch (error) {
     console.error('Webhook processing error:', error);
     console.error('Error stack:', error.stack);
@@ -162,6 +118,12 @@ router.post('/email/incoming', express.urlencoded({ extended: true }), async (re
       error: 'Internal server error',
       message: 'Failed to process the incoming email'
     });
+  } finally {
+    if (replayToken && !accepted) {
+      await releaseReplayToken(replayToken).catch(error => {
+        console.error('Failed to release inbound replay token:', error);
+      });
+    }
   }
 });
 
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { sendMail } from './mailer.js';
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60
+};
+
+// Emails of each kind we will send to one address per hour
+const MAX_SENDS_PER_HOUR = parseInt(process.env.ACCOUNT_MAIL_MAX_PER_HOUR, 10) || 3;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function appUrl(pathname, token) {
+  const base = process.env.APP_URL || 'http://localhost:3000';
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+async function isRateLimited(userId, purpose) {
+  const [[{ sent }]] = await pool.query(`
+    SELECT COUNT(*) as sent FROM account_tokens
+    WHERE user_id = ? AND purpose = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+  `, [userId, purpose]);
+  return sent >= MAX_SENDS_PER_HOUR;
+}
+
+// Create a token for a user; returns null when the address has hit its hourly limit
+async function issueToken(userId, purpose) {
+  if (await isRateLimited(userId, purpose)) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+  await pool.query(
+    'INSERT INTO account_tokens (id, user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [uuidv4(), userId, purpose, hashToken(token), expiresAt]
+  );
+  return token;
+}
+
+// Mark a token used and return its user id, or null if it is unknown, expired or spent
+export async function consumeAccountToken(token, purpose) {
+  const hash = hashToken(token);
+  const [result] = await pool.query(`
+    UPDATE account_tokens SET used_at = NOW()
+    WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+  `, [hash, purpose]);
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const [tokens] = await pool.query('SELECT user_id FROM account_tokens WHERE token_hash = ?', [hash]);
+  return tokens[0].user_id;
+}
+
+// Each sender returns false when the address is rate limited
+export async function sendPasswordResetEmail(user) {
+  const token = await issueToken(user.id, 'password_reset');
+  if (!token) {
+    return false;
+  }
+
+  const link = appUrl('/reset-password', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Use this link to reset your password. It expires in ${TOKEN_TTL_MINUTES.password_reset} minutes.\n\n${link}\n\nIf you did not ask for a reset you can ignore this email.`
+  });
+  return true;
+}
+
+export async function sendVerificationEmail(user) {
+  const token = await issueToken(user.id, 'email_verification');
+  if (!token) {
+    return false;
+  }
+
+  const link = appUrl('/verify-email', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm your email address with this link:\n\n${link}`
+  });
+  return true;
+}
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { resolvePolicy } from './retention.js';
+
+const MAX_ATTEMPTS = 5;
+const RANDOM_LENGTH = 10;
+const RANDOM_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const ADJECTIVES = [
+  'amber', 'brave', 'calm', 'clever', 'cosmic', 'crisp', 'dusty', 'eager', 'fancy', 'gentle',
+  'happy', 'hidden', 'jolly', 'kind', 'lucky', 'mellow', 'misty', 'noble', 'quiet', 'rapid',
+  'rusty', 'silent', 'sunny', 'swift', 'tidy', 'vivid', 'witty', 'young', 'zesty', 'bold'
+];
+
+const NOUNS = [
+  'badger', 'breeze', 'canyon', 'cedar', 'comet', 'falcon', 'forest', 'harbor', 'island', 'lantern',
+  'maple', 'meadow', 'otter', 'panda', 'pebble', 'pepper', 'planet', 'river', 'rocket', 'sparrow',
+  'summit', 'thunder', 'tiger', 'valley', 'walrus', 'willow', 'glacier', 'koala', 'orchid', 'raven'
+];
+
+// Names that mail systems or people expect to reach the domain owner
+const RESERVED_LOCAL_PARTS = [
+  'abuse', 'admin', 'administrator', 'hostmaster', 'info', 'mailer-daemon', 'no-reply',
+  'noreply', 'postmaster', 'root', 'security', 'support', 'webmaster'
+];
+
+// RFC 5322 dot-atom: atext runs separated by single dots
+const DOT_ATOM = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const MAX_LOCAL_PART_LENGTH = 64;
+
+export const ADDRESS_PATTERNS = ['words', 'random', 'custom'];
+
+export class AddressError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function randomItem(items) {
+  return items[crypto.randomInt(items.length)];
+}
+
+function reservedLocalParts() {
+  const extra = (process.env.RESERVED_LOCAL_PARTS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...RESERVED_LOCAL_PARTS, ...extra]);
+}
+
+export function generateLocalPart(pattern) {
+  if (pattern === 'random') {
+    return Array.from({ length: RANDOM_LENGTH }, () => randomItem(RANDOM_ALPHABET)).join('');
+  }
+  return `${randomItem(ADJECTIVES)}.${randomItem(NOUNS)}${crypto.randomInt(10, 100)}`;
+}
+
+// Returns an error message, or null when the local part is acceptable
+export function validateLocalPart(localPart) {
+  if (!localPart) {
+    return 'Local part is required';
+  }
+  if (localPart.length > MAX_LOCAL_PART_LENGTH) {
+    return `Local part must be at most ${MAX_LOCAL_PART_LENGTH} characters`;
+  }
+  if (!DOT_ATOM.test(localPart)) {
+    return 'Local part contains invalid characters';
+  }
+  // Sub-addressing ("admin+x") still lands on the reserved mailbox at many providers
+  if (reservedLocalParts().has(localPart.split('+')[0])) {
+    return 'This address is reserved';
+  }
+  return null;
+}
+
+async function findDomain({ domainId, domainName }) {
+  const [domains] = domainId
+    ? await pool.query('SELECT * FROM domains WHERE id = ?', [domainId])
+    : await pool.query('SELECT * FROM domains WHERE domain = ?', [domainName]);
+  return domains[0] || null;
+}
+
+// Work out the domain and local part from a request: either a pattern to generate,
+// an explicit localPart, or the legacy full "email" that must belong to domainId
+async function resolveRequest({ domainId, email, localPart, pattern }) {
+  let requestedLocalPart = localPart;
+  let domainName;
+
+  if (email) {
+    const at = email.lastIndexOf('@');
+    if (at <= 0) {
+      throw new AddressError('Invalid email address');
+    }
+    requestedLocalPart = email.slice(0, at);
+    domainName = email.slice(at + 1).toLowerCase();
+  }
+
+  if (!domainId && !domainName) {
+    throw new AddressError('domainId is required');
+  }
+
+  const domain = await findDomain({ domainId, domainName });
+  if (!domain) {
+    throw new AddressError('Domain not found', 404);
+  }
+  if (!domain.is_active || !domain.verified_at) {
+    throw new AddressError('Domain is not available for new addresses');
+  }
+  if (domainName && domain.domain.toLowerCase() !== domainName) {
+    throw new AddressError('Email address does not belong to the selected domain');
+  }
+
+  const resolvedPattern = requestedLocalPart ? 'custom' : (pattern || 'words');
+  if (!ADDRESS_PATTERNS.includes(resolvedPattern)) {
+    throw new AddressError(`Unknown pattern; use one of ${ADDRESS_PATTERNS.join(', ')}`);
+  }
+  if (resolvedPattern === 'custom' && !requestedLocalPart) {
+    throw new AddressError('localPart is required for the custom pattern');
+  }
+
+  return {
+    domain,
+    pattern: resolvedPattern,
+    localPart: requestedLocalPart ? requestedLocalPart.toLowerCase() : null
+  };
+}
+
+// Create a temporary email, generating the address server-side and retrying on collisions
+export async function createTempEmail({
+  userId = null,
+  expiresAt,
+  accessTokenHash = null,
+  isPublic = false,
+  ...request
+}) {
+  const { domain, pattern, localPart } = await resolveRequest(request);
+
+  // The retention policy can shorten how long the address lives
+  const { address_ttl_hours: addressTtl } = await resolvePolicy({ domainId: domain.id, userId });
+  if (addressTtl !== null) {
+    const latest = new Date(Date.now() + addressTtl * 60 * 60 * 1000);
+    if (latest < expiresAt) {
+      expiresAt = latest;
+    }
+  }
+
+  if (localPart) {
+    const invalid = validateLocalPart(localPart);
+    if (invalid) {
+      throw new AddressError(invalid);
+    }
+  }
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const candidate = localPart || generateLocalPart(pattern);
+    if (!localPart && validateLocalPart(candidate)) {
+      continue;
+    }
+
+    const id = uuidv4();
+    const email = `${candidate}@${domain.domain.toLowerCase()}`;
+
+    try {
+      await pool.query(`
+        INSERT INTO temp_emails (id, user_id, email, domain_id, access_token_hash, is_public, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [id, userId, email, domain.id, accessTokenHash, isPublic, expiresAt]);
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+      // A requested address cannot be retried with a different name
+      if (localPart) {
+        throw new AddressError('This address is already taken', 409);
+      }
+      continue;
+    }
+
+    const [created] = await pool.query('SELECT * FROM temp_emails WHERE id = ?', [id]);
+    return created[0];
+  }
+
+  throw new AddressError('Could not find a free address, please try again', 503);
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+export const ADMIN_KEY_PREFIX = 'adm_';
+
+export const ADMIN_SCOPES = [
+  'mail:read',
+  'domains:write',
+  'messages:read',
+  'messages:write',
+  'keys:manage',
+  'retention:manage',
+  'mail:manage'
+];
+
+// Keys carry 256 bits of randomness, so a fast hash is enough to store them
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  const key = ADMIN_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+}
+
+function toPublicKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    created_by: row.created_by,
+    created_at: row.created_at,
+    rotated_at: row.rotated_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+export function invalidScopes(scopes) {
+  return scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+}
+
+export async function findAdminKey(id) {
+  const [rows] = await pool.query('SELECT * FROM admin_api_keys WHERE id = ?', [id]);
+  return rows.length > 0 ? toPublicKey(rows[0]) : null;
+}
+
+export async function listAdminKeys() {
+  const [keys] = await pool.query('SELECT * FROM admin_api_keys ORDER BY created_at DESC');
+  return keys.map(toPublicKey);
+}
+
+// Create a key; the plaintext is only ever returned here
+export async function createAdminKey({ name, scopes, createdBy }) {
+  const id = uuidv4();
+  const { key, prefix, hash } = generateKey();
+
+  await pool.query(
+    'INSERT INTO admin_api_keys (id, name, key_prefix, key_hash, scopes, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, name, prefix, hash, JSON.stringify(scopes), createdBy]
+  );
+
+  const [rows] = await pool.query('SELECT * FROM admin_api_keys WHERE id = ?', [id]);
+  return { ...toPublicKey(rows[0]), key };
+}
+
+// Replace the secret of an active key, invalidating the old one immediately
+export async function rotateAdminKey(id) {
+  const { key, prefix, hash } = generateKey();
+
+  const [result] = await pool.query(
+    'UPDATE admin_api_keys SET key_prefix = ?, key_hash = ?, rotated_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [prefix, hash, id]
+  );
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const [rows] = await pool.query('SELECT * FROM admin_api_keys WHERE id = ?', [id]);
+  return { ...toPublicKey(rows[0]), key };
+}
+
+export async function revokeAdminKey(id) {
+  const [result] = await pool.query(
+    'UPDATE admin_api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Resolve an active key from its plaintext and record that it was used
+export async function findActiveAdminKey(key) {
+  const [rows] = await pool.query(
+    'SELECT * FROM admin_api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+    [hashApiKey(key)]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  pool.query('UPDATE admin_api_keys SET last_used_at = NOW() WHERE id = ?', [rows[0].id])
+    .catch(error => console.error('Failed to record admin key usage:', error));
+
+  return toPublicKey(rows[0]);
+}
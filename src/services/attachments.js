@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { getStorage } from './storage/index.js';
+
+function storageKeyFor(emailId, attachmentId) {
+  return `attachments/${emailId}/${attachmentId}`;
+}
+
+// Content-IDs arrive as "<id@host>", "cid:id@host" or bare; store the bare form
+export function normalizeContentId(contentId) {
+  if (!contentId) {
+    return null;
+  }
+  return contentId.trim().replace(/^cid:/i, '').replace(/^<|>$/g, '') || null;
+}
+
+// Upload parsed attachments to the store and return the rows to insert for them
+export async function uploadAttachments(emailId, attachments) {
+  const storage = getStorage();
+  const rows = [];
+
+  try {
+    for (const attachment of attachments) {
+      const id = uuidv4();
+      const content = Buffer.from(attachment.content || '', 'base64');
+      const storageKey = storageKeyFor(emailId, id);
+
+      await storage.put(storageKey, content, {
+        contentType: attachment.contentType,
+        contentLength: content.length
+      });
+
+      rows.push({
+        id,
+        email_id: emailId,
+        filename: attachment.filename || 'attachment',
+        content_type: attachment.contentType || 'application/octet-stream',
+        content_id: normalizeContentId(attachment.contentId),
+        size: content.length,
+        storage_key: storageKey,
+        download_token: crypto.randomBytes(24).toString('hex')
+      });
+    }
+  } catch (error) {
+    await removeStoredAttachments(rows.map(row => row.storage_key));
+    throw error;
+  }
+
+  return rows;
+}
+
+// Delete objects from the store; failures are logged so row deletion can still go ahead
+export async function removeStoredAttachments(storageKeys) {
+  const storage = getStorage();
+  for (const key of storageKeys) {
+    if (!key) {
+      continue;
+    }
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Failed to delete stored attachment ${key}:`, error);
+    }
+  }
+}
+
+// Remove the stored objects behind every attachment of the given received emails;
+// returns how many attachments were found
+export async function removeAttachmentsForEmails(emailIds) {
+  if (emailIds.length === 0) {
+    return 0;
+  }
+  const [attachments] = await pool.query(
+    'SELECT storage_key FROM email_attachments WHERE email_id IN (?)',
+    [emailIds]
+  );
+  await removeStoredAttachments(attachments.map(attachment => attachment.storage_key));
+  return attachments.length;
+}
+
+// Add an "attachments" list to each received email row
+export async function withAttachments(emails, { isPublic = false } = {}) {
+  if (emails.length === 0) {
+    return emails;
+  }
+
+  const [attachments] = await pool.query(`
+    SELECT id, email_id, filename, content_type, content_id, size, download_token
+    FROM email_attachments
+    WHERE email_id IN (?)
+    ORDER BY created_at
+  `, [emails.map(email => email.id)]);
+
+  const byEmail = new Map();
+  for (const attachment of attachments) {
+    const url = isPublic
+      ? `/emails/public/attachments/${attachment.id}?token=${attachment.download_token}`
+      : `/emails/attachments/${attachment.id}`;
+
+    if (!byEmail.has(attachment.email_id)) {
+      byEmail.set(attachment.email_id, []);
+    }
+    byEmail.get(attachment.email_id).push({
+      id: attachment.id,
+      filename: attachment.filename,
+      content_type: attachment.content_type,
+      content_id: attachment.content_id,
+      size: attachment.size,
+      download_url: url
+    });
+  }
+
+  return emails.map(email => ({
+    ...email,
+    attachments: byEmail.get(email.id) || []
+  }));
+}
+
+// Stream an attachment row to the response as a download
+export async function sendAttachment(res, attachment) {
+  // Rows written before the storage backend kept base64 content in the table
+  if (!attachment.storage_key && !attachment.content) {
+    return res.status(404).json({ error: 'Attachment content not found' });
+  }
+
+  res.attachment(attachment.filename);
+  res.setHeader('Content-Type', attachment.content_type || 'application/octet-stream');
+
+  if (!attachment.storage_key) {
+    return res.send(Buffer.from(attachment.content, 'base64'));
+  }
+
+  const stream = await getStorage().get(attachment.storage_key);
+  if (attachment.size) {
+    res.setHeader('Content-Length', attachment.size);
+  }
+  stream.on('error', error => {
+    console.error('Attachment stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
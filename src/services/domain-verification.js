@@ -0,0 +1,79 @@
+import dns from 'dns';
+import { pool } from '../db/init.js';
+
+const TXT_PREFIX = 'temp-mail-verification=';
+
+let resolver = null;
+
+// DNS_RESOLVER_SERVERS ("host:port,...") points lookups at a specific server, e.g. a local stub
+function getResolver() {
+  if (!resolver) {
+    resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+    if (process.env.DNS_RESOLVER_SERVERS) {
+      resolver.setServers(process.env.DNS_RESOLVER_SERVERS.split(',').map(server => server.trim()));
+    }
+  }
+  return resolver;
+}
+
+// Swap in any object with resolveMx/resolveTxt, e.g. an in-process stub
+export function setDnsResolver(customResolver) {
+  resolver = customResolver;
+}
+
+function expectedMxHosts() {
+  return (process.env.DOMAIN_MX_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase().replace(/\.$/, ''))
+    .filter(Boolean);
+}
+
+async function lookup(method, name) {
+  try {
+    return await getResolver()[method](name);
+  } catch (error) {
+    if (['ENODATA', 'ENOTFOUND', 'NXDOMAIN'].includes(error.code)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Records an admin must publish for a domain to pass verification
+export function verificationInstructions(domain) {
+  return {
+    txt: { name: domain.domain, value: `${TXT_PREFIX}${domain.verification_token}` },
+    mx: expectedMxHosts().map(host => ({ name: domain.domain, value: host }))
+  };
+}
+
+// Check the MX and TXT records of a domain and store the outcome
+export async function verifyDomain(domain) {
+  const errors = [];
+
+  const mxRecords = await lookup('resolveMx', domain.domain);
+  const mxHosts = mxRecords.map(record => record.exchange.toLowerCase().replace(/\.$/, ''));
+  const expected = expectedMxHosts();
+
+  if (mxHosts.length === 0) {
+    errors.push('No MX records found');
+  } else if (expected.length > 0 && !mxHosts.some(host => expected.includes(host))) {
+    errors.push(`MX records do not point to ${expected.join(' or ')}`);
+  }
+
+  const txtRecords = (await lookup('resolveTxt', domain.domain)).map(chunks => chunks.join(''));
+  if (!txtRecords.includes(`${TXT_PREFIX}${domain.verification_token}`)) {
+    errors.push('Verification TXT record not found');
+  }
+
+  const verified = errors.length === 0;
+  await pool.query(`
+    UPDATE domains
+    SET last_checked_at = NOW(),
+        verified_at = ${verified ? 'COALESCE(verified_at, NOW())' : 'NULL'},
+        verification_error = ?
+    WHERE id = ?
+  `, [verified ? null : errors.join('; '), domain.id]);
+
+  return { verified, errors, mx: mxHosts, txt: txtRecords };
+}
@@ -0,0 +1,166 @@
+import { JSDOM } from 'jsdom';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../../db/init.js';
+import { enabledLocales } from './locales.js';
+import otp from './rules/otp.js';
+import verificationLink from './rules/verification-link.js';
+import unsubscribeLink from './rules/unsubscribe-link.js';
+
+const MAX_PER_KIND = 5;
+// Enormous newsletters are cut down before scanning so ingest stays fast
+const MAX_BODY_CHARS = 200 * 1024;
+const URL = /https?:\/\/[^\s<>"')\]]+/gi;
+// Closing tags that start a new line of text when HTML is flattened
+const LINE_BREAKS = /<(br|\/p|\/div|\/tr|\/li|\/h[1-6]|\/td|\/table)\b[^>]*>/gi;
+
+const rules = new Map();
+
+// Add a rule to the pipeline. A rule is { name, kind, extract(context) } where extract returns
+// [{ value, confidence, locale }] and context is { subject, text, links, locales }
+export function registerExtractionRule(rule) {
+  if (!rule.name || !rule.kind || typeof rule.extract !== 'function') {
+    throw new Error('Extraction rules need a name, a kind and an extract function');
+  }
+  rules.set(rule.name, rule);
+}
+
+for (const rule of [otp, verificationLink, unsubscribeLink]) {
+  registerExtractionRule(rule);
+}
+
+// The rules named in EXTRACTION_RULES ("otp,unsubscribe-link"), or every registered rule
+function activeRules() {
+  const names = (process.env.EXTRACTION_RULES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0
+    ? names.map(name => rules.get(name)).filter(Boolean)
+    : [...rules.values()];
+}
+
+function minConfidence() {
+  const value = parseFloat(process.env.EXTRACTION_MIN_CONFIDENCE);
+  return Number.isNaN(value) ? 0.5 : value;
+}
+
+// Plain text and links of an email. HTML links keep their anchor text; links found in the
+// text body take their line and the one before it
+function buildContext(email) {
+  const links = new Map();
+  let text = (email.body_text || '').slice(0, MAX_BODY_CHARS);
+
+  if (email.body_html) {
+    const html = email.body_html.slice(0, MAX_BODY_CHARS).replace(LINE_BREAKS, '$&\n');
+    const { document } = new JSDOM(html).window;
+    for (const anchor of document.querySelectorAll('a[href]')) {
+      const url = anchor.getAttribute('href').trim();
+      if (/^https?:\/\//i.test(url)) {
+        const label = [anchor.textContent, anchor.getAttribute('title'), anchor.getAttribute('aria-label')]
+          .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+        links.set(url, { url, text: `${links.get(url)?.text || ''} ${label}`.trim() });
+      }
+    }
+    if (!text) {
+      document.querySelectorAll('style, script').forEach(element => element.remove());
+      text = (document.body?.textContent || '').replace(/[ \t ]+/g, ' ');
+    }
+  }
+
+  const lines = text.split('\n').map(line => line.trim());
+  lines.forEach((line, index) => {
+    for (const [url] of line.matchAll(URL)) {
+      const cleaned = url.replace(/[.,;:!?]+$/, '');
+      if (!links.has(cleaned)) {
+        // "Click the link below to confirm:" usually sits on the line above the URL
+        const label = `${lines[index - 1] || ''} ${line}`.replace(URL, ' ').replace(/\s+/g, ' ').trim();
+        links.set(cleaned, { url: cleaned, text: label });
+      }
+    }
+  });
+
+  return { subject: email.subject || '', text, links: [...links.values()], locales: enabledLocales() };
+}
+
+// Run every active rule over an email and keep the confident results: the best score per
+// value, at most MAX_PER_KIND per kind, most confident first. A failing rule is skipped
+export function extractFromEmail(email) {
+  const context = buildContext(email);
+  const threshold = minConfidence();
+  const best = new Map();
+
+  for (const rule of activeRules()) {
+    let results;
+    try {
+      results = rule.extract(context);
+    } catch (error) {
+      console.error(`Extraction rule ${rule.name} failed:`, error);
+      continue;
+    }
+
+    for (const result of results) {
+      const confidence = Math.round(Math.min(Math.max(result.confidence, 0), 1) * 100) / 100;
+      const key = `${rule.kind}\n${result.value}`;
+      if (confidence >= threshold && (!best.has(key) || best.get(key).confidence < confidence)) {
+        best.set(key, { kind: rule.kind, value: result.value, confidence, rule: rule.name, locale: result.locale || null });
+      }
+    }
+  }
+
+  const perKind = new Map();
+  for (const extraction of [...best.values()].sort((a, b) => b.confidence - a.confidence)) {
+    const list = perKind.get(extraction.kind) || [];
+    if (list.length < MAX_PER_KIND) {
+      list.push(extraction);
+      perKind.set(extraction.kind, list);
+    }
+  }
+  return [...perKind.values()].flat();
+}
+
+// Store extractions for a received email; pass the transaction's connection when there is one
+export async function saveExtractions(emailId, extractions, connection = pool) {
+  for (const extraction of extractions) {
+    await connection.query(`
+      INSERT INTO email_extractions (id, email_id, kind, value, confidence, rule, locale)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(),
+      emailId,
+      extraction.kind,
+      extraction.value,
+      extraction.confidence,
+      extraction.rule,
+      extraction.locale
+    ]);
+  }
+}
+
+export async function listExtractions(emailId) {
+  const [extractions] = await pool.query(`
+    SELECT kind, value, confidence, rule, locale
+    FROM email_extractions
+    WHERE email_id = ?
+    ORDER BY kind, confidence DESC
+  `, [emailId]);
+  return extractions.map(extraction => ({ ...extraction, confidence: Number(extraction.confidence) }));
+}
+
+// The most confident extraction of a kind from the newest email of a temporary email that has one
+export async function latestExtraction(tempEmailId, { kind = 'otp', since = null, minConfidence: floor = 0 } = {}) {
+  const [extractions] = await pool.query(`
+    SELECT ex.kind, ex.value, ex.confidence, ex.rule, ex.locale,
+           re.id AS email_id, re.from_email, re.subject, re.received_at
+    FROM email_extractions ex
+    JOIN received_emails re ON ex.email_id = re.id
+    WHERE re.temp_email_id = ? AND ex.kind = ? AND ex.confidence >= ?
+      ${since ? 'AND re.received_at > ?' : ''}
+    ORDER BY re.received_at DESC, ex.confidence DESC
+    LIMIT 1
+  `, since ? [tempEmailId, kind, floor, since] : [tempEmailId, kind, floor]);
+
+  if (extractions.length === 0) {
+    return null;
+  }
+  return { ...extractions[0], confidence: Number(extractions[0].confidence) };
+}
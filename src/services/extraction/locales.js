@@ -0,0 +1,72 @@
+// Phrases that mark one-time codes, verification links and unsubscribe links, per language.
+// Matching is case-insensitive on lowercased text, so entries are lowercase
+export const LOCALES = {
+  en: {
+    code: ['verification code', 'security code', 'confirmation code', 'one-time', 'one time', 'otp', 'passcode', 'login code', 'sign-in code', 'your code', 'code is', 'code:', 'pin'],
+    verify: ['verify', 'confirm', 'activate', 'validate', 'magic link', 'sign in', 'log in', 'login', 'reset your password', 'complete your registration'],
+    unsubscribe: ['unsubscribe', 'opt out', 'opt-out', 'manage preferences', 'email preferences', 'stop receiving']
+  },
+  de: {
+    code: ['bestätigungscode', 'sicherheitscode', 'verifizierungscode', 'einmalcode', 'einmalpasswort', 'anmeldecode', 'ihr code', 'dein code', 'code lautet'],
+    verify: ['bestätigen', 'verifizieren', 'aktivieren', 'anmelden', 'einloggen', 'passwort zurücksetzen'],
+    unsubscribe: ['abmelden', 'abbestellen', 'newsletter abbestellen', 'austragen']
+  },
+  fr: {
+    code: ['code de vérification', 'code de confirmation', 'code de sécurité', 'code à usage unique', 'votre code', 'code est'],
+    verify: ['vérifier', 'confirmer', 'activer', 'valider', 'se connecter', 'réinitialiser votre mot de passe'],
+    unsubscribe: ['se désabonner', 'désabonner', 'désinscrire', 'désinscription']
+  },
+  es: {
+    code: ['código de verificación', 'código de confirmación', 'código de seguridad', 'código de un solo uso', 'tu código', 'su código', 'código es'],
+    verify: ['verificar', 'confirmar', 'activar', 'validar', 'iniciar sesión', 'restablecer tu contraseña'],
+    unsubscribe: ['darse de baja', 'darte de baja', 'cancelar suscripción', 'anular suscripción']
+  },
+  pt: {
+    code: ['código de verificação', 'código de confirmação', 'código de segurança', 'seu código', 'código é'],
+    verify: ['verificar', 'confirmar', 'ativar', 'validar', 'entrar', 'redefinir sua senha'],
+    unsubscribe: ['cancelar inscrição', 'descadastrar', 'cancelar assinatura']
+  },
+  it: {
+    code: ['codice di verifica', 'codice di conferma', 'codice di sicurezza', 'il tuo codice', 'codice è'],
+    verify: ['verifica', 'conferma', 'attiva', 'accedi', 'reimposta la password'],
+    unsubscribe: ['annulla iscrizione', 'disiscriviti', 'cancellati']
+  },
+  nl: {
+    code: ['verificatiecode', 'bevestigingscode', 'beveiligingscode', 'eenmalige code', 'je code', 'uw code'],
+    verify: ['bevestigen', 'verifiëren', 'activeren', 'inloggen', 'wachtwoord opnieuw instellen'],
+    unsubscribe: ['afmelden', 'uitschrijven']
+  }
+};
+
+// The locales named in EXTRACTION_LOCALES ("en,de"), or all of them
+export function enabledLocales() {
+  const names = (process.env.EXTRACTION_LOCALES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => LOCALES[name]);
+  return (names.length > 0 ? names : Object.keys(LOCALES))
+    .map(name => ({ locale: name, ...LOCALES[name] }));
+}
+
+const patterns = new Map();
+
+// Phrases only count as whole words, so "pin" does not match "shipping"
+function phrasePattern(phrase) {
+  if (!patterns.has(phrase)) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    patterns.set(phrase, new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u'));
+  }
+  return patterns.get(phrase);
+}
+
+// The first locale with a phrase of the given group inside the text, as { locale, phrase }
+export function findPhrase(text, locales, group) {
+  const lower = text.toLowerCase();
+  for (const entry of locales) {
+    const phrase = entry[group].find(candidate => phrasePattern(candidate).test(lower));
+    if (phrase) {
+      return { locale: entry.locale, phrase };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,77 @@
+import { findPhrase } from '../locales.js';
+
+// Digit runs ("482913", "482 913", "482-913") and mixed letter/digit codes ("7KQ2ZP").
+// Neighbouring characters rule out prices, dates, times, amounts and parts of longer tokens
+const NUMERIC = /(?<![\w\-/.:,$€£#@+])(\d{3}[ -]\d{3}|\d{4,8})(?![\w\-/%:]|[.,]\d)/g;
+const ALPHANUMERIC = /(?<![\w\-/.])([A-Z0-9]{6,8})(?![\w\-/])/g;
+const URL = /https?:\/\/\S+/gi;
+// How far before a code a phrase such as "your code is" may appear
+const CONTEXT_CHARS = 80;
+
+function candidates(text) {
+  const found = [];
+  for (const match of text.matchAll(NUMERIC)) {
+    found.push({ raw: match[1], value: match[1].replace(/[ -]/g, ''), index: match.index, numeric: true });
+  }
+  for (const match of text.matchAll(ALPHANUMERIC)) {
+    if (/\d/.test(match[1]) && /[A-Z]/.test(match[1])) {
+      found.push({ raw: match[1], value: match[1], index: match.index, numeric: false });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+function lineAround(text, index) {
+  const start = text.lastIndexOf('\n', index) + 1;
+  const end = text.indexOf('\n', index);
+  return text.slice(start, end === -1 ? undefined : end).trim();
+}
+
+// One-time codes, scored by the phrases around them and how much they look like a code
+export default {
+  name: 'otp',
+  kind: 'otp',
+
+  extract({ subject, text, locales }) {
+    // URLs are full of digit runs that are never codes
+    const body = text.replace(URL, ' ');
+    const subjectPhrase = findPhrase(subject, locales, 'code');
+
+    let previousEnd = 0;
+    return candidates(body).map(candidate => {
+      let confidence = 0.25;
+      let locale = null;
+
+      // A phrase introduces the first code after it, not every number that follows
+      const before = body.slice(Math.max(previousEnd, candidate.index - CONTEXT_CHARS), candidate.index);
+      previousEnd = candidate.index + candidate.raw.length;
+      const nearby = findPhrase(`${before} ${lineAround(body, candidate.index)}`, locales, 'code');
+      if (nearby) {
+        confidence += 0.45;
+        locale = nearby.locale;
+      }
+      if (subjectPhrase) {
+        confidence += 0.15;
+        locale = locale || subjectPhrase.locale;
+      }
+
+      if (candidate.value.length === 6) {
+        confidence += 0.1;
+      } else {
+        confidence += 0.05;
+      }
+      // Codes are often set on a line of their own
+      if (lineAround(body, candidate.index).replace(/[\s:.]/g, '') === candidate.raw.replace(/[ -]/g, '')) {
+        confidence += 0.15;
+      }
+      if (candidate.numeric && candidate.value.length === 4 && /^(19|20)\d\d$/.test(candidate.value)) {
+        confidence -= 0.3;
+      }
+      if (!candidate.numeric) {
+        confidence -= 0.05;
+      }
+
+      return { value: candidate.value, confidence, locale };
+    });
+  }
+};
@@ -0,0 +1,27 @@
+import { findPhrase } from '../locales.js';
+
+const UNSUBSCRIBE_URL = /unsub|opt-?out|list-manage\.com|email-?preferences|\/preferences/i;
+
+export function isUnsubscribeUrl(url) {
+  return UNSUBSCRIBE_URL.test(url);
+}
+
+// Links that stop further mail from the sender
+export default {
+  name: 'unsubscribe-link',
+  kind: 'unsubscribe_link',
+
+  extract({ links, locales }) {
+    return links.map(link => {
+      const phrase = findPhrase(link.text, locales, 'unsubscribe');
+      let confidence = 0;
+      if (phrase) {
+        confidence += 0.7;
+      }
+      if (isUnsubscribeUrl(link.url)) {
+        confidence += phrase ? 0.25 : 0.6;
+      }
+      return { value: link.url, confidence, locale: phrase ? phrase.locale : null };
+    });
+  }
+};
@@ -0,0 +1,31 @@
+import { findPhrase } from '../locales.js';
+import { isUnsubscribeUrl } from './unsubscribe-link.js';
+
+const VERIFY_URL = /verif|confirm|activat|validat|magic|token=|sign-?in|log-?in|auth|reset|invite/i;
+// A long opaque path segment or parameter is what makes a link single-use
+const OPAQUE_TOKEN = /[/=][A-Za-z0-9_-]{20,}/;
+
+// Confirm-your-account and magic sign-in links
+export default {
+  name: 'verification-link',
+  kind: 'verification_link',
+
+  extract({ links, locales }) {
+    return links
+      .filter(link => !isUnsubscribeUrl(link.url) && !findPhrase(link.text, locales, 'unsubscribe'))
+      .map(link => {
+        let confidence = 0.1;
+        const phrase = findPhrase(link.text, locales, 'verify');
+        if (phrase) {
+          confidence += 0.45;
+        }
+        if (VERIFY_URL.test(link.url)) {
+          confidence += 0.3;
+        }
+        if (OPAQUE_TOKEN.test(link.url)) {
+          confidence += 0.15;
+        }
+        return { value: link.url, confidence, locale: phrase ? phrase.locale : null };
+      });
+  }
+};
@@ -0,0 +1,473 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { sendMail } from './mailer.js';
+import { srsEncode } from './srs.js';
+import { cleanAddress, extractAddresses } from './mail-ingest.js';
+import { getStorage } from './storage/index.js';
+
+const VERIFICATION_TTL_HOURS = 24;
+const MAX_DESTINATIONS = parseInt(process.env.FORWARD_MAX_DESTINATIONS, 10) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.FORWARD_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.FORWARD_RETRY_BASE_SECONDS, 10) || 60;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const POLL_INTERVAL = (parseInt(process.env.FORWARD_POLL_SECONDS, 10) || 30) * 1000;
+const BATCH_SIZE = 20;
+// A delivery claimed longer ago than this belonged to an instance that died mid-send
+const STALE_CLAIM_MINUTES = 10;
+
+export class ForwardingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublicDestination(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    verified: Boolean(row.verified_at),
+    verified_at: row.verified_at,
+    created_at: row.created_at
+  };
+}
+
+async function sendDestinationVerification(destination) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await pool.query(
+    'UPDATE forwarding_destinations SET verification_token_hash = ?, verification_expires_at = ? WHERE id = ?',
+    [hashToken(token), expiresAt, destination.id]
+  );
+
+  const base = process.env.APP_URL || 'http://localhost:3000';
+  const link = `${base}/forwarding/verify?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: destination.email,
+    subject: 'Confirm your forwarding address',
+    text: `Someone asked to forward temporary email to this address. Confirm it with this link:\n\n${link}\n\nIf this was not you, ignore this email and nothing will be forwarded.`
+  });
+}
+
+export async function listDestinations(userId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM forwarding_destinations WHERE user_id = ? ORDER BY created_at',
+    [userId]
+  );
+  return rows.map(toPublicDestination);
+}
+
+// Whether any of the addresses is on one of the domains we receive mail for
+async function isOwnAddress(addresses) {
+  const domains = addresses.map(address => address.split('@').pop().toLowerCase());
+  if (domains.length === 0) {
+    return false;
+  }
+  const [rows] = await pool.query('SELECT id FROM domains WHERE domain IN (?) LIMIT 1', [domains]);
+  return rows.length > 0;
+}
+
+// Add a destination and mail it a confirmation link; nothing is forwarded until it is confirmed
+export async function addDestination(userId, email) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+    throw new ForwardingError('A valid email address is required');
+  }
+  // Another temporary email could forward back here and loop forever
+  if (await isOwnAddress([address])) {
+    throw new ForwardingError('Mail cannot be forwarded to a temporary email address');
+  }
+
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) AS total FROM forwarding_destinations WHERE user_id = ?',
+    [userId]
+  );
+  if (total >= MAX_DESTINATIONS) {
+    throw new ForwardingError(`At most ${MAX_DESTINATIONS} forwarding addresses are allowed`);
+  }
+
+  const destination = { id: uuidv4(), user_id: userId, email: address };
+  try {
+    await pool.query(
+      'INSERT INTO forwarding_destinations (id, user_id, email) VALUES (?, ?, ?)',
+      [destination.id, userId, address]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ForwardingError('This forwarding address already exists', 409);
+    }
+    throw error;
+  }
+
+  await sendDestinationVerification(destination);
+  const [rows] = await pool.query('SELECT * FROM forwarding_destinations WHERE id = ?', [destination.id]);
+  return toPublicDestination(rows[0]);
+}
+
+export async function resendDestinationVerification(userId, destinationId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM forwarding_destinations WHERE id = ? AND user_id = ?',
+    [destinationId, userId]
+  );
+  if (rows.length === 0) {
+    throw new ForwardingError('Forwarding address not found', 404);
+  }
+  if (rows[0].verified_at) {
+    throw new ForwardingError('Forwarding address is already verified');
+  }
+  await sendDestinationVerification(rows[0]);
+}
+
+// Confirm a destination from its emailed token; returns the destination or null
+export async function verifyDestination(token) {
+  const hash = hashToken(token);
+  const [rows] = await pool.query(
+    'SELECT * FROM forwarding_destinations WHERE verification_token_hash = ? AND verification_expires_at > NOW()',
+    [hash]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  // The hash check makes the token single use even if two requests race
+  const [result] = await pool.query(`
+    UPDATE forwarding_destinations
+    SET verified_at = NOW(), verification_token_hash = NULL, verification_expires_at = NULL
+    WHERE id = ? AND verification_token_hash = ?
+  `, [rows[0].id, hash]);
+  if (result.affectedRows === 0) {
+    return null;
+  }
+  return toPublicDestination({ ...rows[0], verified_at: new Date() });
+}
+
+// Fail the deliveries still queued for rules matching the condition, so nothing more is
+// sent once a rule or destination is removed
+async function cancelQueuedDeliveries(condition, params, reason) {
+  await pool.query(`
+    UPDATE forward_deliveries fdl
+    JOIN forwarding_rules fr ON fdl.rule_id = fr.id
+    JOIN temp_emails te ON fr.temp_email_id = te.id
+    SET fdl.status = 'failed', fdl.last_error = ?, fdl.next_attempt_at = NULL
+    WHERE fdl.status = 'pending' AND ${condition}
+  `, [reason, ...params]);
+}
+
+export async function removeDestination(userId, destinationId) {
+  await cancelQueuedDeliveries(
+    'fr.destination_id = ? AND te.user_id = ?',
+    [destinationId, userId],
+    'Forwarding address was removed'
+  );
+  const [result] = await pool.query(
+    'DELETE FROM forwarding_destinations WHERE id = ? AND user_id = ?',
+    [destinationId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function listRules(userId, tempEmailId) {
+  const [rules] = await pool.query(`
+    SELECT fr.id, fr.temp_email_id, te.email AS temp_email, fr.destination_id,
+           fd.email AS destination_email, fr.enabled, fr.created_at
+    FROM forwarding_rules fr
+    JOIN temp_emails te ON fr.temp_email_id = te.id
+    JOIN forwarding_destinations fd ON fr.destination_id = fd.id
+    WHERE te.user_id = ? ${tempEmailId ? 'AND te.id = ?' : ''}
+    ORDER BY fr.created_at
+  `, tempEmailId ? [userId, tempEmailId] : [userId]);
+  return rules;
+}
+
+// Forward a temporary email owned by the user to one of their verified destinations
+export async function addRule(userId, { tempEmailId, destinationId }) {
+  const [tempEmails] = await pool.query(
+    'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+    [tempEmailId, userId]
+  );
+  if (tempEmails.length === 0) {
+    throw new ForwardingError('Email not found', 404);
+  }
+
+  const [destinations] = await pool.query(
+    'SELECT * FROM forwarding_destinations WHERE id = ? AND user_id = ?',
+    [destinationId, userId]
+  );
+  if (destinations.length === 0) {
+    throw new ForwardingError('Forwarding address not found', 404);
+  }
+  if (!destinations[0].verified_at) {
+    throw new ForwardingError('Forwarding address has not been verified yet');
+  }
+
+  const id = uuidv4();
+  try {
+    await pool.query(
+      'INSERT INTO forwarding_rules (id, temp_email_id, destination_id) VALUES (?, ?, ?)',
+      [id, tempEmailId, destinationId]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ForwardingError('This email is already forwarded there', 409);
+    }
+    throw error;
+  }
+
+  const [rules] = await pool.query('SELECT * FROM forwarding_rules WHERE id = ?', [id]);
+  return rules[0];
+}
+
+export async function setRuleEnabled(userId, ruleId, enabled) {
+  const [result] = await pool.query(`
+    UPDATE forwarding_rules fr
+    JOIN temp_emails te ON fr.temp_email_id = te.id
+    SET fr.enabled = ?
+    WHERE fr.id = ? AND te.user_id = ?
+  `, [enabled, ruleId, userId]);
+  return result.affectedRows > 0;
+}
+
+export async function removeRule(userId, ruleId) {
+  await cancelQueuedDeliveries('fr.id = ? AND te.user_id = ?', [ruleId, userId], 'Forwarding rule was removed');
+  const [result] = await pool.query(`
+    DELETE fr FROM forwarding_rules fr
+    JOIN temp_emails te ON fr.temp_email_id = te.id
+    WHERE fr.id = ? AND te.user_id = ?
+  `, [ruleId, userId]);
+  return result.affectedRows > 0;
+}
+
+export async function listDeliveries(userId, { tempEmailId, limit = 50 } = {}) {
+  const [deliveries] = await pool.query(`
+    SELECT fdl.id, fdl.received_email_id, fdl.rule_id, fdl.destination_email, fdl.status,
+           fdl.attempts, fdl.next_attempt_at, fdl.last_error, fdl.message_id, fdl.sent_at,
+           fdl.created_at, te.email AS temp_email
+    FROM forward_deliveries fdl
+    JOIN received_emails re ON fdl.received_email_id = re.id
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE te.user_id = ? ${tempEmailId ? 'AND te.id = ?' : ''}
+    ORDER BY fdl.created_at DESC
+    LIMIT ?
+  `, tempEmailId ? [userId, tempEmailId, limit] : [userId, limit]);
+  return deliveries;
+}
+
+// Put a failed delivery back in the queue with a fresh set of attempts
+export async function retryDelivery(userId, deliveryId) {
+  const [result] = await pool.query(`
+    UPDATE forward_deliveries fdl
+    JOIN received_emails re ON fdl.received_email_id = re.id
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    SET fdl.status = 'pending', fdl.attempts = 0, fdl.next_attempt_at = NOW(), fdl.last_error = NULL
+    WHERE fdl.id = ? AND te.user_id = ? AND fdl.status = 'failed'
+  `, [deliveryId, userId]);
+  if (result.affectedRows > 0) {
+    kickForwardQueue();
+  }
+  return result.affectedRows > 0;
+}
+
+// Queue a delivery for every enabled rule of the temporary email that received a message.
+// Mail we forwarded once is never forwarded again, so forwards that find their way back
+// to one of our inboxes cannot loop
+export async function queueForwards(tempEmailId, receivedEmailId, forwardedFor = null) {
+  if (forwardedFor && await isOwnAddress(extractAddresses(forwardedFor))) {
+    return 0;
+  }
+
+  const [rules] = await pool.query(`
+    SELECT fr.id, fd.email
+    FROM forwarding_rules fr
+    JOIN forwarding_destinations fd ON fr.destination_id = fd.id
+    WHERE fr.temp_email_id = ? AND fr.enabled = TRUE AND fd.verified_at IS NOT NULL
+  `, [tempEmailId]);
+
+  for (const rule of rules) {
+    await pool.query(`
+      INSERT INTO forward_deliveries (id, received_email_id, rule_id, destination_email, next_attempt_at)
+      VALUES (?, ?, ?, ?, NOW())
+    `, [uuidv4(), receivedEmailId, rule.id, rule.email]);
+  }
+
+  if (rules.length > 0) {
+    kickForwardQueue();
+  }
+  return rules.length;
+}
+
+async function attachmentContent(attachment) {
+  if (attachment.storage_key) {
+    return getStorage().get(attachment.storage_key);
+  }
+  return Buffer.from(attachment.content || '', 'base64');
+}
+
+// Rebuild the stored message for a destination, sent from the temporary email with the
+// envelope sender SRS-rewritten onto our domain
+async function buildForward(delivery) {
+  const [emails] = await pool.query(`
+    SELECT re.*, te.email AS temp_email
+    FROM received_emails re
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE re.id = ?
+  `, [delivery.received_email_id]);
+  if (emails.length === 0) {
+    return null;
+  }
+  const email = emails[0];
+
+  const [attachments] = await pool.query(
+    'SELECT * FROM email_attachments WHERE email_id = ? ORDER BY created_at',
+    [email.id]
+  );
+
+  const forwardDomain = process.env.SRS_DOMAIN || email.temp_email.split('@').pop();
+  const fallbackSender = process.env.MAIL_FROM || `no-reply@${forwardDomain}`;
+
+  const sender = cleanAddress(email.from_email);
+
+  return {
+    // Sending as the original sender's domain fails DMARC at the destination,
+    // so send as the temp address and keep the sender in the name and Reply-To
+    from: sender ? { name: `${sender} via ${email.temp_email}`, address: email.temp_email } : fallbackSender,
+    replyTo: sender || undefined,
+    to: delivery.destination_email,
+    subject: email.subject,
+    text: email.body_text || undefined,
+    html: email.body_html || undefined,
+    headers: {
+      'X-Original-To': email.temp_email,
+      'X-Forwarded-For': `${email.temp_email} ${delivery.destination_email}`
+    },
+    envelope: {
+      // from_email can hold the whole From header; SRS needs the bare address
+      from: srsEncode(sender, forwardDomain) || fallbackSender,
+      to: delivery.destination_email
+    },
+    attachments: await Promise.all(attachments.map(async attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.content_type,
+      cid: attachment.content_id || undefined,
+      content: await attachmentContent(attachment)
+    })))
+  };
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 4 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+// Why a delivery must not go out any more, or null while its rule still forwards there.
+// Deleting the rule, its destination or its temporary email clears rule_id
+async function deliveryStopReason(delivery) {
+  const [rules] = await pool.query('SELECT enabled FROM forwarding_rules WHERE id = ?', [delivery.rule_id]);
+  if (rules.length === 0) {
+    return 'Forwarding rule was removed';
+  }
+  return rules[0].enabled ? null : 'Forwarding rule is disabled';
+}
+
+async function deliver(delivery) {
+  const stopReason = await deliveryStopReason(delivery);
+  if (stopReason) {
+    await pool.query(`
+      UPDATE forward_deliveries
+      SET status = 'failed', last_error = ?, claimed_at = NULL, next_attempt_at = NULL
+      WHERE id = ?
+    `, [stopReason, delivery.id]);
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  try {
+    const message = await buildForward(delivery);
+    if (!message) {
+      throw new Error('Received email no longer exists');
+    }
+    const info = await sendMail(message);
+
+    await pool.query(`
+      UPDATE forward_deliveries
+      SET status = 'sent', attempts = ?, sent_at = NOW(), message_id = ?, last_error = NULL, claimed_at = NULL
+      WHERE id = ?
+    `, [attempts, info.messageId || null, delivery.id]);
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    console.error(`Forward ${delivery.id} to ${delivery.destination_email} failed (attempt ${attempts}):`, error.message);
+
+    await pool.query(`
+      UPDATE forward_deliveries
+      SET status = ?, attempts = ?, last_error = ?, claimed_at = NULL,
+          next_attempt_at = ${failed ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)'}
+      WHERE id = ?
+    `, failed
+      ? ['failed', attempts, error.message, delivery.id]
+      : ['pending', attempts, error.message, retryDelaySeconds(attempts), delivery.id]);
+  }
+}
+
+let processing = false;
+
+// Send every delivery that is due; each one is claimed first so instances never send it twice
+export async function processForwardQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    await pool.query(`
+      UPDATE forward_deliveries SET status = 'pending', claimed_at = NULL
+      WHERE status = 'sending' AND claimed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    `, [STALE_CLAIM_MINUTES]);
+
+    for (;;) {
+      const [due] = await pool.query(`
+        SELECT * FROM forward_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ?
+      `, [BATCH_SIZE]);
+      if (due.length === 0) {
+        break;
+      }
+
+      for (const delivery of due) {
+        const [claim] = await pool.query(
+          "UPDATE forward_deliveries SET status = 'sending', claimed_at = NOW() WHERE id = ? AND status = 'pending'",
+          [delivery.id]
+        );
+        if (claim.affectedRows === 1) {
+          await deliver(delivery);
+        }
+      }
+
+      if (due.length < BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Forward queue processing failed:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+// Process the queue soon without making the caller wait for delivery
+export function kickForwardQueue() {
+  setImmediate(() => {
+    processForwardQueue();
+  });
+}
+
+export function startForwardWorker() {
+  const timer = setInterval(processForwardQueue, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+}
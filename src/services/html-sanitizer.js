@@ -0,0 +1,130 @@
+import createDOMPurify from 'dompurify';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('');
+const DOMPurify = createDOMPurify(window);
+
+// "block" drops remote images, "proxy" loads them through our image proxy
+export const REMOTE_IMAGE_MODES = ['block', 'proxy'];
+
+// Elements that can submit data, load other documents or change how links resolve
+const FORBID_TAGS = ['form', 'input', 'button', 'textarea', 'select', 'iframe', 'frame', 'object', 'embed', 'base', 'link', 'meta'];
+const URL_ATTRIBUTES = ['src', 'background', 'poster'];
+// Only links may keep an href; on SVG <image>, <feImage> or <use> it loads a resource
+const LINK_TAGS = ['a', 'area'];
+const LINK_ATTRIBUTES = ['href', 'xlink:href'];
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT = /@import\s+[^;]+;?/gi;
+// Escapes and image functions can hide a URL from CSS_URL
+const CSS_ESCAPE = /\\/;
+const CSS_IMAGE_FUNCTION = /image-set\(|image\(/i;
+
+function isRemote(url) {
+  return /^(https?:)?\/\//i.test(url.trim());
+}
+
+// Rewrite one resource reference: cid: to the attachment, remote URLs per the image mode.
+// Returns null when the reference should be removed
+function rewriteUrl(url, options, stats) {
+  const value = url.trim();
+
+  if (/^cid:/i.test(value)) {
+    return options.resolveContentId(value) || null;
+  }
+  if (isRemote(value)) {
+    stats.remoteImages += 1;
+    if (options.remoteImages === 'proxy') {
+      return options.proxyUrl(value.startsWith('//') ? `https:${value}` : value);
+    }
+    stats.blockedImages += 1;
+    return null;
+  }
+  // data: images are inline and cannot be used for tracking
+  if (/^data:image\//i.test(value)) {
+    return value;
+  }
+  return null;
+}
+
+// Rewrite the url() references of one declaration, or drop the whole declaration
+// when a reference is blocked or could not be read reliably
+function rewriteDeclaration(declaration, options, stats) {
+  if (CSS_IMAGE_FUNCTION.test(declaration)) {
+    stats.remoteImages += 1;
+    stats.blockedImages += 1;
+    return '';
+  }
+  if (CSS_ESCAPE.test(declaration) || /url\(/i.test(declaration.replace(CSS_URL, ''))) {
+    return '';
+  }
+
+  let blocked = false;
+  const rewritten = declaration.replace(CSS_URL, (match, quote, url) => {
+    const value = rewriteUrl(url, options, stats);
+    blocked = blocked || !value;
+    return `url("${value}")`;
+  });
+  return blocked ? '' : rewritten;
+}
+
+// Imported stylesheets could load anything, so they are dropped outright
+function rewriteCss(css, options, stats) {
+  return css
+    .replace(CSS_IMPORT, '')
+    .split(/([;{}])/)
+    .map(part => rewriteDeclaration(part, options, stats))
+    .join('');
+}
+
+// Build a safe HTML view of an email body: no scripts, event handlers or forms,
+// inline cid: images pointed at their attachments and remote resources blocked or proxied
+export function sanitizeEmailHtml(html, options) {
+  const stats = { remoteImages: 0, blockedImages: 0 };
+
+  DOMPurify.addHook('afterSanitizeAttributes', node => {
+    for (const attribute of URL_ATTRIBUTES) {
+      if (node.hasAttribute(attribute)) {
+        const rewritten = rewriteUrl(node.getAttribute(attribute), options, stats);
+        if (rewritten) {
+          node.setAttribute(attribute, rewritten);
+        } else {
+          node.removeAttribute(attribute);
+        }
+      }
+    }
+    // Candidate lists would each need rewriting; src alone is enough to render
+    node.removeAttribute('srcset');
+    if (!LINK_TAGS.includes(node.nodeName.toLowerCase())) {
+      for (const attribute of LINK_ATTRIBUTES) {
+        if (node.hasAttribute(attribute)) {
+          stats.remoteImages += 1;
+          stats.blockedImages += 1;
+          node.removeAttribute(attribute);
+        }
+      }
+    }
+
+    if (node.hasAttribute('style')) {
+      node.setAttribute('style', rewriteCss(node.getAttribute('style'), options, stats));
+    }
+    if (node.tagName === 'STYLE') {
+      node.textContent = rewriteCss(node.textContent, options, stats);
+    }
+    if (node.tagName === 'A' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+
+  try {
+    const sanitized = DOMPurify.sanitize(html || '', {
+      FORBID_TAGS,
+      // Keep <style> blocks from the message head
+      FORCE_BODY: true,
+      ADD_ATTR: ['target']
+    });
+    return { html: sanitized, ...stats };
+  } finally {
+    DOMPurify.removeHook('afterSanitizeAttributes');
+  }
+}
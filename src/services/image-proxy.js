@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { Transform, pipeline } from 'stream';
+import axios from 'axios';
+import {
+  BlockedHostError,
+  assertPublicHost,
+  publicHttpAgent,
+  publicHttpsAgent
+} from './safe-http.js';
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_REDIRECTS = 3;
+
+export class ImageProxyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function proxySecret() {
+  return process.env.IMAGE_PROXY_SECRET || process.env.JWT_SECRET;
+}
+
+export function signImageUrl(url) {
+  return crypto.createHmac('sha256', proxySecret()).update(url).digest('base64url');
+}
+
+// Only URLs we signed while sanitizing a message can be fetched, so this is not an open proxy
+export function imageProxyUrl(url) {
+  const base = process.env.PUBLIC_API_URL || '';
+  const query = new URLSearchParams({ url, sig: signImageUrl(url) });
+  return `${base}/emails/image-proxy?${query}`;
+}
+
+export function verifyImageSignature(url, signature) {
+  const expected = Buffer.from(signImageUrl(url));
+  const given = Buffer.from(signature || '');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function assertAllowedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ImageProxyError('Invalid image URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ImageProxyError('Only http and https images can be proxied');
+  }
+  try {
+    assertPublicHost(url);
+  } catch (error) {
+    throw new ImageProxyError('Image host is not allowed', 403);
+  }
+}
+
+// Fetch a remote image without forwarding anything about the reader; resolves to
+// { stream, contentType, contentLength }
+export async function fetchImage(url) {
+  assertAllowedUrl(url);
+  const maxBytes = parseInt(process.env.IMAGE_PROXY_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: 10000,
+      maxRedirects: MAX_REDIRECTS,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent,
+      headers: { 'User-Agent': 'TempMail-ImageProxy/1.0', Accept: 'image/*' },
+      beforeRedirect: options => assertAllowedUrl(options.href)
+    });
+  } catch (error) {
+    // Refusals from the lookup or redirect checks come back wrapped by axios
+    const cause = error.cause || error;
+    if (cause instanceof ImageProxyError) {
+      throw cause;
+    }
+    if (cause instanceof BlockedHostError) {
+      throw new ImageProxyError('Image host is not allowed', 403);
+    }
+    throw new ImageProxyError('Failed to fetch image', 502);
+  }
+
+  const contentType = String(response.headers['content-type'] || '');
+  const contentLength = parseInt(response.headers['content-length'], 10);
+  if (!contentType.toLowerCase().startsWith('image/')) {
+    response.data.destroy();
+    throw new ImageProxyError('Remote resource is not an image', 415);
+  }
+  if (contentLength > maxBytes) {
+    response.data.destroy();
+    throw new ImageProxyError('Image is too large', 413);
+  }
+
+  // Servers that omit or understate Content-Length are cut off at the limit
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > maxBytes ? new ImageProxyError('Image is too large', 413) : null, chunk);
+    }
+  });
+  pipeline(response.data, limiter, () => {});
+
+  return { stream: limiter, contentType, contentLength: Number.isNaN(contentLength) ? null : contentLength };
+}
@@ -0,0 +1,17 @@
+import { parseEmailContent, cleanAddress } from '../../mail-ingest.js';
+
+// Original relay format: form fields "recipient", "sender" and the raw message in "body".
+// Relays sign it with the generic HMAC scheme; INBOUND_VERIFIER=none turns that off explicitly
+export default {
+  name: 'legacy',
+  verifier: 'hmac',
+
+  async extract({ fields }) {
+    const parsedEmail = await parseEmailContent(fields.body);
+    return {
+      recipients: [cleanAddress(fields.recipient || parsedEmail.to)],
+      sender: fields.sender,
+      parsedEmail
+    };
+  }
+};
@@ -0,0 +1,52 @@
+import { parseEmailContent, extractAddresses, fieldsFromHeaders } from '../../mail-ingest.js';
+import { contentIdsByField } from '../payload.js';
+
+function parseHeaderPairs(value) {
+  try {
+    const pairs = value ? JSON.parse(value) : [];
+    return Array.isArray(pairs) ? pairs : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Mailgun routes post parsed fields with "attachment-N" files, or the full message in "body-mime"
+export default {
+  name: 'mailgun',
+  verifier: 'mailgun',
+
+  async extract({ fields, files }) {
+    const recipients = extractAddresses(fields.recipient);
+
+    if (fields['body-mime']) {
+      const parsedEmail = await parseEmailContent(fields['body-mime']);
+      return { recipients, sender: fields.sender, parsedEmail };
+    }
+
+    // "content-id-map" maps "<cid>" to the attachment field name
+    const contentIds = contentIdsByField(fields['content-id-map']);
+    // "message-headers" is a JSON list of [name, value] pairs
+    const headers = parseHeaderPairs(fields['message-headers']);
+
+    return {
+      recipients,
+      sender: fields.sender,
+      parsedEmail: {
+        headers: {},
+        subject: fields.subject,
+        from: fields.from || fields.sender || '',
+        to: fields.To || fields.recipient || '',
+        text: fields['body-plain'],
+        html: fields['body-html'],
+        ...fieldsFromHeaders(name => headers.find(([header]) => header.toLowerCase() === name)?.[1]),
+        attachments: files.map(file => ({
+          filename: file.filename,
+          contentType: file.contentType,
+          contentId: contentIds.get(file.fieldname),
+          size: file.content.length,
+          content: file.content.toString('base64')
+        }))
+      }
+    };
+  }
+};
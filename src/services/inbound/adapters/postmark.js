@@ -0,0 +1,43 @@
+import { parseEmailContent, extractAddresses, fieldsFromHeaders } from '../../mail-ingest.js';
+
+// Postmark posts JSON with base64 attachments, plus "RawEmail" when raw content is enabled
+export default {
+  name: 'postmark',
+  verifier: 'basic',
+
+  async extract({ json }) {
+    const message = json || {};
+    const recipients = message.OriginalRecipient
+      ? extractAddresses(message.OriginalRecipient)
+      : (message.ToFull || []).map(to => to.Email.toLowerCase());
+    const sender = message.FromFull?.Email || message.From;
+
+    if (message.RawEmail) {
+      const parsedEmail = await parseEmailContent(message.RawEmail);
+      return { recipients, sender, parsedEmail };
+    }
+
+    return {
+      recipients,
+      sender,
+      parsedEmail: {
+        headers: {},
+        subject: message.Subject,
+        from: message.From || '',
+        to: message.To || '',
+        text: message.TextBody,
+        html: message.HtmlBody,
+        // MessageID is Postmark's own id; the sender's Message-ID is among the headers
+        ...fieldsFromHeaders(name => (message.Headers || [])
+          .find(header => header.Name.toLowerCase() === name)?.Value),
+        attachments: (message.Attachments || []).map(attachment => ({
+          filename: attachment.Name,
+          contentType: attachment.ContentType,
+          contentId: attachment.ContentID,
+          size: attachment.ContentLength,
+          content: attachment.Content
+        }))
+      }
+    };
+  }
+};
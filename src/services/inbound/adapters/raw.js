@@ -0,0 +1,18 @@
+import { parseEmailContent, extractAddresses } from '../../mail-ingest.js';
+
+// The request body is the RFC 822 message itself; the envelope travels in the X-Envelope-To and
+// X-Envelope-From headers, which the hmac signature covers
+export default {
+  name: 'raw',
+  verifier: 'hmac',
+
+  async extract({ rawBody, headers }) {
+    const parsedEmail = await parseEmailContent(rawBody);
+    const envelopeTo = headers['x-envelope-to'];
+    return {
+      recipients: extractAddresses(envelopeTo || parsedEmail.to),
+      sender: headers['x-envelope-from'],
+      parsedEmail
+    };
+  }
+};
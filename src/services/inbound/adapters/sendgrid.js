@@ -0,0 +1,57 @@
+import { parseEmailContent, extractAddresses, fieldsFromHeaders } from '../../mail-ingest.js';
+import { contentIdsByField } from '../payload.js';
+
+function parseEnvelope(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// SendGrid Inbound Parse posts multipart fields; "email" holds the raw message when "send raw" is on
+export default {
+  name: 'sendgrid',
+  verifier: 'sendgrid',
+
+  async extract({ fields, files }) {
+    const envelope = parseEnvelope(fields.envelope);
+    const recipients = extractAddresses(
+      Array.isArray(envelope.to) ? envelope.to.join(',') : fields.to
+    );
+    const sender = envelope.from || fields.from;
+
+    if (fields.email) {
+      const parsedEmail = await parseEmailContent(fields.email);
+      return { recipients, sender, parsedEmail };
+    }
+
+    // "content-ids" maps each Content-ID to the attachment field name
+    const contentIds = contentIdsByField(fields['content-ids']);
+
+    return {
+      recipients,
+      sender,
+      parsedEmail: {
+        headers: {},
+        subject: fields.subject,
+        from: fields.from || '',
+        to: fields.to || '',
+        text: fields.text,
+        html: fields.html,
+        // "headers" is the raw header block of the message
+        ...fieldsFromHeaders(name => {
+          const match = (fields.headers || '').match(new RegExp(`^${name}:[ \\t]*(.*(?:\\r?\\n[ \\t].*)*)`, 'im'));
+          return match ? match[1] : undefined;
+        }),
+        attachments: files.map(file => ({
+          filename: file.filename,
+          contentType: file.contentType,
+          contentId: contentIds.get(file.fieldname),
+          size: file.content.length,
+          content: file.content.toString('base64')
+        }))
+      }
+    };
+  }
+};
@@ -0,0 +1,32 @@
+import legacy from './adapters/legacy.js';
+import mailgun from './adapters/mailgun.js';
+import sendgrid from './adapters/sendgrid.js';
+import postmark from './adapters/postmark.js';
+import raw from './adapters/raw.js';
+import { getVerifier, missingVerifierSetting } from './signatures.js';
+
+export { readPayload } from './payload.js';
+export { claimReplayToken, releaseReplayToken } from './signatures.js';
+
+const adapters = { legacy, mailgun, sendgrid, postmark, raw };
+
+// Resolve the adapter and verifier configured for this deployment
+export function getInboundAdapter() {
+  const name = process.env.INBOUND_PROVIDER || 'legacy';
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown inbound provider: ${name}`);
+  }
+
+  // Unsigned mail is only accepted when INBOUND_VERIFIER=none is set on purpose
+  const verifierName = process.env.INBOUND_VERIFIER || adapter.verifier;
+  const missing = missingVerifierSetting(verifierName);
+  if (missing) {
+    throw new Error(`${missing} is required to verify ${adapter.name} inbound webhooks (or set INBOUND_VERIFIER=none)`);
+  }
+  return {
+    ...adapter,
+    verifierName,
+    verify: getVerifier(verifierName)
+  };
+}
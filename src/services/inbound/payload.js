@@ -0,0 +1,70 @@
+import busboy from 'busboy';
+
+function parseMultipart(rawBody, headers) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = [];
+    const parser = busboy({ headers });
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        const content = Buffer.concat(chunks);
+        files.push({
+          fieldname: name,
+          filename: info.filename,
+          contentType: info.mimeType,
+          content
+        });
+      });
+    });
+
+    parser.on('error', reject);
+    parser.on('close', () => resolve({ fields, files }));
+    parser.end(rawBody);
+  });
+}
+
+// Decode a webhook request captured with express.raw into fields, files and JSON
+export async function readPayload(req) {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  const payload = {
+    rawBody,
+    headers: req.headers,
+    query: req.query,
+    contentType,
+    fields: {},
+    files: [],
+    json: null
+  };
+
+  if (contentType.startsWith('multipart/form-data')) {
+    Object.assign(payload, await parseMultipart(rawBody, req.headers));
+  } else if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    payload.fields = Object.fromEntries(new URLSearchParams(rawBody.toString('utf8')));
+  } else if (contentType.startsWith('application/json')) {
+    payload.json = JSON.parse(rawBody.toString('utf8'));
+  }
+
+  return payload;
+}
+
+// Mailgun ("content-id-map") and SendGrid ("content-ids") send a JSON object of
+// Content-ID to attachment field name; turn it around to look up by field
+export function contentIdsByField(value) {
+  const byField = new Map();
+  try {
+    for (const [contentId, field] of Object.entries(value ? JSON.parse(value) : {})) {
+      byField.set(field, contentId);
+    }
+  } catch (error) {
+    console.error('Ignoring malformed Content-ID map:', error.message);
+  }
+  return byField;
+}
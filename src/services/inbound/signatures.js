@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import { pool } from '../../db/init.js';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function toleranceSeconds() {
+  return parseInt(process.env.INBOUND_SIGNATURE_TOLERANCE, 10) || DEFAULT_TOLERANCE_SECONDS;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function isFreshTimestamp(timestamp) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds)) {
+    return false;
+  }
+  return Math.abs(Date.now() / 1000 - seconds) <= toleranceSeconds();
+}
+
+function hashReplayToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Reserve a replay token until it falls outside the tolerance window. Returns false when
+// another request already holds it
+export async function claimReplayToken(token) {
+  await pool.query('DELETE FROM inbound_replay_tokens WHERE expires_at <= NOW()');
+  const [result] = await pool.query(
+    'INSERT IGNORE INTO inbound_replay_tokens (token_hash, expires_at) VALUES (?, DATE_ADD(NOW(), INTERVAL ? SECOND))',
+    [hashReplayToken(token), toleranceSeconds() * 2]
+  );
+  return result.affectedRows === 1;
+}
+
+// Give a token back when its request was not stored, so the provider's retry is accepted
+export async function releaseReplayToken(token) {
+  await pool.query('DELETE FROM inbound_replay_tokens WHERE token_hash = ?', [hashReplayToken(token)]);
+}
+
+function hmacHex(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+// Verifiers return false for a bad request. Signed schemes return a replay token on success,
+// which the caller claims before storing; the others return true
+
+// Generic scheme: HMAC-SHA256 over "<timestamp>.<X-Envelope-To>\n<X-Envelope-From>\n<raw body>",
+// with empty lines for absent envelope headers, so a relay's envelope cannot be swapped
+function verifyHmac(payload) {
+  const secret = process.env.INBOUND_SIGNING_SECRET;
+  const timestamp = payload.headers['x-webhook-timestamp'];
+  const signature = (payload.headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+
+  if (!secret || !timestamp || !signature || !isFreshTimestamp(timestamp)) {
+    return false;
+  }
+
+  const envelopeTo = payload.headers['x-envelope-to'] || '';
+  const envelopeFrom = payload.headers['x-envelope-from'] || '';
+  const expected = hmacHex(secret, Buffer.concat([
+    Buffer.from(`${timestamp}.${envelopeTo}\n${envelopeFrom}\n`),
+    payload.rawBody
+  ]));
+  return safeEqual(signature, expected) && `hmac:${signature}`;
+}
+
+// Mailgun signs "<timestamp><token>" with the webhook signing key
+function verifyMailgun(payload) {
+  const secret = process.env.INBOUND_SIGNING_SECRET;
+  const { timestamp, token, signature } = payload.fields;
+
+  if (!secret || !timestamp || !token || !signature || !isFreshTimestamp(timestamp)) {
+    return false;
+  }
+
+  return safeEqual(signature, hmacHex(secret, timestamp + token)) && `mailgun:${token}`;
+}
+
+// SendGrid signs "<timestamp><raw body>" with ECDSA; the public key is base64 DER
+function verifySendgrid(payload) {
+  const publicKey = process.env.INBOUND_SENDGRID_PUBLIC_KEY;
+  const timestamp = payload.headers['x-twilio-email-event-webhook-timestamp'];
+  const signature = payload.headers['x-twilio-email-event-webhook-signature'];
+
+  if (!publicKey || !timestamp || !signature || !isFreshTimestamp(timestamp)) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.concat([Buffer.from(timestamp), payload.rawBody]),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+    return valid && `sendgrid:${signature}`;
+  } catch (error) {
+    console.error('SendGrid signature verification error:', error);
+    return false;
+  }
+}
+
+// HTTP basic auth, as offered by Postmark; it carries no timestamp so it cannot prevent replays
+function verifyBasic(payload) {
+  const expected = process.env.INBOUND_BASIC_AUTH;
+  const authHeader = payload.headers['authorization'] || '';
+
+  if (!expected || !authHeader.startsWith('Basic ')) {
+    return false;
+  }
+
+  const credentials = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+  return safeEqual(credentials, expected);
+}
+
+const verifiers = {
+  none: () => true,
+  hmac: verifyHmac,
+  mailgun: verifyMailgun,
+  sendgrid: verifySendgrid,
+  basic: verifyBasic
+};
+
+// What each verifier needs configured before the webhook can accept anything
+const requiredSettings = {
+  hmac: 'INBOUND_SIGNING_SECRET',
+  mailgun: 'INBOUND_SIGNING_SECRET',
+  sendgrid: 'INBOUND_SENDGRID_PUBLIC_KEY',
+  basic: 'INBOUND_BASIC_AUTH'
+};
+
+export function missingVerifierSetting(name) {
+  const setting = requiredSettings[name];
+  return setting && !process.env[setting] ? setting : null;
+}
+
+export function getVerifier(name) {
+  const verifier = verifiers[name];
+  if (!verifier) {
+    throw new Error(`Unknown inbound signature verifier: ${name}`);
+  }
+  return verifier;
+}
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { pool } from '../db/init.js';
+
+const TOKEN_PREFIX = 'inb_';
+
+// Tokens carry 256 bits of randomness, so a fast hash is enough to store them
+export function hashInboxToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function generateInboxToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashInboxToken(token) };
+}
+
+// The token travels in the X-Inbox-Token header, or ?inbox_token= where headers
+// cannot be set (EventSource, WebSocket)
+export function inboxTokenFrom(req) {
+  return req.get('X-Inbox-Token') || req.query.inbox_token || null;
+}
+
+function tokenMatches(token, hash) {
+  if (!token || !hash) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashInboxToken(token)), Buffer.from(hash));
+}
+
+// Find a public-route inbox the caller may read. Without a token the answer is the
+// same whether or not the address exists, so addresses cannot be probed
+export async function resolvePublicInbox(email, token) {
+  const [emails] = await pool.query('SELECT * FROM temp_emails WHERE email = ?', [email]);
+  const tempEmail = emails[0];
+
+  if (tempEmail && tempEmail.is_public) {
+    return { tempEmail };
+  }
+  if (!token) {
+    return { status: 401, error: 'Inbox token required' };
+  }
+  if (!tempEmail || !tokenMatches(token, tempEmail.access_token_hash)) {
+    return { status: 404, error: 'Email not found' };
+  }
+  return { tempEmail };
+}
+
+// Like resolvePublicInbox, but a public flag is not enough: changing an inbox needs its token
+export async function resolveInboxOwner(email, token) {
+  const [emails] = await pool.query('SELECT * FROM temp_emails WHERE email = ?', [email]);
+  const tempEmail = emails[0];
+
+  if (!token) {
+    return { status: 401, error: 'Inbox token required' };
+  }
+  if (!tempEmail || !tokenMatches(token, tempEmail.access_token_hash)) {
+    return { status: 404, error: 'Email not found' };
+  }
+  return { tempEmail };
+}
+
+// Replace an inbox token; the old one stops working immediately
+export async function rotateInboxToken(tempEmailId) {
+  const { token, hash } = generateInboxToken();
+  await pool.query('UPDATE temp_emails SET access_token_hash = ? WHERE id = ?', [hash, tempEmailId]);
+  return token;
+}
+
+export async function setInboxVisibility(tempEmailId, isPublic) {
+  await pool.query('UPDATE temp_emails SET is_public = ? WHERE id = ?', [isPublic, tempEmailId]);
+}
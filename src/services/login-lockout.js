@@ -0,0 +1,58 @@
+import { pool } from '../db/init.js';
+
+function lockoutConfig() {
+  return {
+    threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+    baseMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 1,
+    maxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60,
+    // Failures older than this no longer count towards a lockout
+    resetHours: parseInt(process.env.LOGIN_LOCKOUT_RESET_HOURS, 10) || 24
+  };
+}
+
+// Seconds until the account unlocks, or 0 when it is not locked
+export function lockedForSeconds(user) {
+  if (!user.locked_until) {
+    return 0;
+  }
+  return Math.max(Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000), 0);
+}
+
+// Every failure from the threshold on doubles the lockout, up to the maximum.
+// Returns how many seconds the account is now locked for
+export async function recordFailedLogin(user) {
+  const { threshold, baseMinutes, maxMinutes, resetHours } = lockoutConfig();
+
+  // Increment in one statement so concurrent failures each count; LAST_INSERT_ID(expr)
+  // hands the new count back without a second read
+  const [result] = await pool.query(`
+    UPDATE users SET
+      failed_login_attempts = LAST_INSERT_ID(IF(
+        last_failed_login_at IS NULL OR last_failed_login_at < DATE_SUB(NOW(), INTERVAL ? HOUR),
+        1, failed_login_attempts + 1
+      )),
+      last_failed_login_at = NOW()
+    WHERE id = ?
+  `, [resetHours, user.id]);
+  const attempts = result.insertId;
+
+  if (attempts < threshold) {
+    return 0;
+  }
+
+  const minutes = Math.min(baseMinutes * 2 ** (attempts - threshold), maxMinutes);
+  const lockSeconds = minutes * 60;
+  // Keep the longer lock when a concurrent failure already set one
+  await pool.query(
+    'UPDATE users SET locked_until = GREATEST(COALESCE(locked_until, ?), ?) WHERE id = ?',
+    [new Date(0), new Date(Date.now() + lockSeconds * 1000), user.id]
+  );
+  return lockSeconds;
+}
+
+export async function clearFailedLogins(userId) {
+  await pool.query(
+    'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+}
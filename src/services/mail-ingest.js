@@ -0,0 +1,353 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { simpleParser } from 'mailparser';
+import iconv from 'iconv-lite';
+import { publishInboxEvent } from './realtime/index.js';
+import { uploadAttachments, removeStoredAttachments } from './attachments.js';
+import { storeRawMessage, readRawMessage } from './raw-messages.js';
+import { extractFromEmail, saveExtractions } from './extraction/index.js';
+import { queueForwards } from './forwarding.js';
+import { queueWebhookEvents } from './user-webhooks.js';
+
+export async function parseEmailContent(rawContent) {
+  // The source as received, kept so the message can be downloaded or parsed again later
+  const raw = rawContent ? Buffer.from(rawContent) : null;
+
+  try {
+    // Decode content if needed
+    let decodedContent = rawContent;
+    if (typeof rawContent === 'string') {
+      try {
+        // Try UTF-8 first
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'utf8');
+      } catch (err) {
+        // Fallback to latin1
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'latin1');
+      }
+    }
+
+    // Parse email using mailparser
+    const parsed = await simpleParser(decodedContent);
+
+    return {
+      headers: parsed.headers,
+      subject: parsed.subject,
+      from: parsed.from?.text || '',
+      to: parsed.to?.text || '',
+      text: parsed.text,
+      html: parsed.html,
+      raw,
+      ...fieldsFromHeaders(name => {
+        const value = parsed.headers.get(name);
+        return Array.isArray(value) ? value.join(' ') : value;
+      }),
+      attachments: parsed.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        contentId: attachment.contentId,
+        size: attachment.size,
+        content: attachment.content.toString('base64')
+      }))
+    };
+  } catch (error) {
+    console.error('Error parsing email:', error);
+    return {
+      headers: {},
+      subject: 'Unable to parse subject',
+      from: '',
+      to: '',
+      text: rawContent,
+      html: '',
+      raw,
+      attachments: []
+    };
+  }
+}
+
+// Message-ID and the thread it belongs to, so replies can reference them, and the
+// X-Forwarded-For our forwarding adds, so forwarded mail is not forwarded again. Without
+// References, In-Reply-To is the best record of the thread
+export function fieldsFromHeaders(getHeader) {
+  const messageId = getHeader('message-id');
+  const references = getHeader('references') || getHeader('in-reply-to');
+  const forwardedFor = getHeader('x-forwarded-for');
+  return {
+    messageId: messageId ? messageId.trim() : null,
+    references: references ? references.replace(/\s+/g, ' ').trim() : null,
+    forwardedFor: forwardedFor ? forwardedFor.trim() : null
+  };
+}
+
+// Strip display names and angle brackets from an address header value
+export function cleanAddress(address) {
+  if (!address) {
+    return '';
+  }
+  const match = address.match(/<(.+)>/);
+  return (match ? match[1] : address).trim();
+}
+
+// Pull every bare address out of a header or comma separated list
+export function extractAddresses(value) {
+  if (!value) {
+    return [];
+  }
+  return (String(value).match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || [])
+    .map(address => address.toLowerCase());
+}
+
+// Find a temporary email that can still receive mail
+export async function findActiveTempEmail(address) {
+  // Addresses on disabled domains stop receiving mail
+  const [tempEmails] = await pool.query(`
+    SELECT te.id FROM temp_emails te
+    JOIN domains d ON te.domain_id = d.id
+    WHERE te.email = ? AND te.expires_at > NOW() AND d.is_active = TRUE
+  `, [address]);
+  return tempEmails[0] || null;
+}
+
+// Check whether we accept mail for the domain part of an address
+export async function isHostedDomain(address) {
+  const domain = address.split('@').pop().toLowerCase();
+  const [domains] = await pool.query(
+    'SELECT id FROM domains WHERE domain = ? AND is_active = TRUE',
+    [domain]
+  );
+  return domains.length > 0;
+}
+
+// Whether a copy of the message already reached the temporary email, so a sender retrying
+// after a partial failure does not store it twice. Needs a Message-ID to tell
+export async function isAlreadyStored(tempEmailId, messageId) {
+  if (!messageId) {
+    return false;
+  }
+  const [emails] = await pool.query(`
+    SELECT id FROM received_emails
+    WHERE temp_email_id = ? AND message_id = ? AND received_at > DATE_SUB(NOW(), INTERVAL 1 DAY)
+    LIMIT 1
+  `, [tempEmailId, messageId]);
+  return emails.length > 0;
+}
+
+// Codes and links found in an email; extraction problems never stop the email being stored
+function safeExtract(emailData) {
+  try {
+    return extractFromEmail(emailData);
+  } catch (error) {
+    console.error('Failed to extract codes and links:', error);
+    return [];
+  }
+}
+
+// Store a parsed email and its attachments for a temporary email
+export async function storeReceivedEmail(tempEmailId, emailData) {
+  const emailId = uuidv4();
+  const extractions = safeExtract(emailData);
+
+  // Upload attachment content and the raw source before opening the transaction so it is
+  // never held open on the store
+  const attachments = await uploadAttachments(emailId, emailData.attachments);
+  let rawMessage;
+  try {
+    rawMessage = await storeRawMessage(emailId, emailData.raw);
+  } catch (error) {
+    await removeStoredAttachments(attachments.map(attachment => attachment.storage_key));
+    throw error;
+  }
+
+  // Start a transaction
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    // Store the email
+    await connection.query(`
+      INSERT INTO received_emails (
+        id,
+        temp_email_id,
+        from_email,
+        subject,
+        body_html,
+        body_text,
+        message_id,
+        references_header,
+        raw_storage_key,
+        raw_size,
+        received_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      emailId,
+      tempEmailId,
+      emailData.sender,
+      emailData.subject,
+      emailData.body_html,
+      emailData.body_text,
+      emailData.message_id,
+      emailData.references,
+      rawMessage.raw_storage_key,
+      rawMessage.raw_size
+    ]);
+
+    // Store attachment metadata if any
+    for (const attachment of attachments) {
+      await connection.query(`
+        INSERT INTO email_attachments (
+          id,
+          email_id,
+          filename,
+          content_type,
+          content_id,
+          size,
+          storage_key,
+          download_token,
+          created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      `, [
+        attachment.id,
+        emailId,
+        attachment.filename,
+        attachment.content_type,
+        attachment.content_id,
+        attachment.size,
+        attachment.storage_key,
+        attachment.download_token
+      ]);
+    }
+
+    await saveExtractions(emailId, extractions, connection);
+
+    await connection.commit();
+    console.log('Email and attachments stored successfully');
+  } catch (error) {
+    await connection.rollback();
+    await removeStoredAttachments([
+      ...attachments.map(attachment => attachment.storage_key),
+      rawMessage.raw_storage_key
+    ]);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const receivedAt = new Date().toISOString();
+  await publishInboxEvent(tempEmailId, {
+    id: emailId,
+    temp_email_id: tempEmailId,
+    from_email: emailData.sender,
+    subject: emailData.subject,
+    received_at: receivedAt,
+    attachment_count: emailData.attachments.length
+  });
+
+  // The message is already stored, so a forwarding problem must not fail delivery to us
+  try {
+    await queueForwards(tempEmailId, emailId, emailData.forwarded_for);
+  } catch (error) {
+    console.error('Failed to queue forwards:', error);
+  }
+
+  try {
+    await queueWebhookEvents(tempEmailId, 'email.received', {
+      id: emailId,
+      temp_email_id: tempEmailId,
+      from_email: emailData.sender,
+      subject: emailData.subject,
+      received_at: receivedAt,
+      snippet: (emailData.body_text || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+      extractions: extractions.map(({ kind, value, confidence }) => ({ kind, value, confidence })),
+      attachments: attachments.map(attachment => ({
+        id: attachment.id,
+        filename: attachment.filename,
+        content_type: attachment.content_type,
+        size: attachment.size
+      }))
+    });
+  } catch (error) {
+    console.error('Failed to queue webhook events:', error);
+  }
+
+  return emailId;
+}
+
+// Build the row data stored for a parsed email
+export function buildEmailData(parsedEmail, sender) {
+  return {
+    sender: sender || parsedEmail.from,
+    subject: parsedEmail.subject || 'No Subject',
+    body_html: parsedEmail.html || '',
+    body_text: parsedEmail.text || '',
+    message_id: parsedEmail.messageId || null,
+    references: parsedEmail.references || null,
+    forwarded_for: parsedEmail.forwardedFor || null,
+    raw: parsedEmail.raw || null,
+    attachments: parsedEmail.attachments || []
+  };
+}
+
+// Rebuild the parsed fields and extractions of received emails from their stored raw sources,
+// e.g. after a parser upgrade. Attachments and the sender are left as they are
+export async function reparseReceivedEmails({ emailIds = null, tempEmailId = null, batchSize = 100 } = {}) {
+  const report = { parsed: 0, failed: 0, skipped: 0 };
+  const conditions = ['raw_storage_key IS NOT NULL'];
+  const params = [];
+  if (emailIds) {
+    conditions.push('id IN (?)');
+    params.push(emailIds.length > 0 ? emailIds : [null]);
+  }
+  if (tempEmailId) {
+    conditions.push('temp_email_id = ?');
+    params.push(tempEmailId);
+  }
+
+  let lastId = '';
+  for (;;) {
+    const [emails] = await pool.query(`
+      SELECT id, raw_storage_key FROM received_emails
+      WHERE ${conditions.join(' AND ')} AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `, [...params, lastId, batchSize]);
+
+    for (const email of emails) {
+      let raw;
+      try {
+        raw = await readRawMessage(email.raw_storage_key);
+      } catch (error) {
+        console.error(`Raw source of email ${email.id} is missing:`, error);
+        report.skipped++;
+        continue;
+      }
+
+      try {
+        const emailData = buildEmailData(await parseEmailContent(raw));
+        await pool.query(`
+          UPDATE received_emails
+          SET subject = ?, body_html = ?, body_text = ?, message_id = ?, references_header = ?
+          WHERE id = ?
+        `, [
+          emailData.subject,
+          emailData.body_html,
+          emailData.body_text,
+          emailData.message_id,
+          emailData.references,
+          email.id
+        ]);
+        await pool.query('DELETE FROM email_extractions WHERE email_id = ?', [email.id]);
+        await saveExtractions(email.id, safeExtract(emailData));
+        report.parsed++;
+      } catch (error) {
+        console.error(`Failed to re-parse email ${email.id}:`, error);
+        report.failed++;
+      }
+    }
+
+    if (emails.length < batchSize) {
+      break;
+    }
+    lastId = emails[emails.length - 1].id;
+  }
+
+  return report;
+}
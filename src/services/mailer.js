@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// "file" writes each message as an .eml file so local setups can inspect outbound mail
+function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || 'outbox');
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      await fs.promises.writeFile(path.join(dir, filename), info.message);
+      return info;
+    }
+  };
+}
+
+function createSmtpTransport() {
+  return nodemailer.createTransport({
+    host: process.env.OUTBOUND_SMTP_HOST,
+    port: parseInt(process.env.OUTBOUND_SMTP_PORT, 10) || 587,
+    secure: process.env.OUTBOUND_SMTP_SECURE === 'true',
+    auth: process.env.OUTBOUND_SMTP_USER ? {
+      user: process.env.OUTBOUND_SMTP_USER,
+      pass: process.env.OUTBOUND_SMTP_PASSWORD
+    } : undefined
+  });
+}
+
+// "console" logs the rendered message instead of sending it
+function createConsoleTransport() {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await transporter.sendMail(message);
+      console.log('Outbound email:', info.message);
+      return info;
+    }
+  };
+}
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// Resolve the transport named by MAIL_TRANSPORT ("smtp", "file" or "console").
+// "console" logs reset links and other secrets, so production must choose explicitly
+export function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT is required when NODE_ENV=production');
+    }
+    const createTransport = transports[name];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = createTransport();
+  }
+  return transport;
+}
+
+export async function sendMail(message) {
+  return getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    ...message
+  });
+}
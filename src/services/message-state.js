@@ -0,0 +1,77 @@
+import { pool } from '../db/init.js';
+import { removeAttachmentsForEmails } from './attachments.js';
+import { removeRawMessagesForEmails } from './raw-messages.js';
+
+const MAX_BULK_IDS = parseInt(process.env.MESSAGE_BULK_MAX, 10) || 500;
+
+export class MessageStateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function validateIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+    throw new MessageStateError('ids must be a non-empty array of email ids');
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    throw new MessageStateError(`At most ${MAX_BULK_IDS} emails can be changed at once`);
+  }
+  return [...new Set(ids)];
+}
+
+// Which of the ids are received emails of the user's temporary email
+async function ownedEmailIds(userId, tempEmailId, emailIds) {
+  const [emails] = await pool.query(`
+    SELECT re.id
+    FROM received_emails re
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE re.id IN (?) AND te.id = ? AND te.user_id = ?
+  `, [emailIds, tempEmailId, userId]);
+  return emails.map(email => email.id);
+}
+
+// Set the read and/or starred flag on received emails; returns the ids that were changed
+export async function updateMessageState(userId, tempEmailId, emailIds, { read, starred }) {
+  const updates = [];
+  const params = [];
+  if (read !== undefined) {
+    if (typeof read !== 'boolean') {
+      throw new MessageStateError('read must be a boolean');
+    }
+    updates.push('is_read = ?');
+    params.push(read);
+  }
+  if (starred !== undefined) {
+    if (typeof starred !== 'boolean') {
+      throw new MessageStateError('starred must be a boolean');
+    }
+    updates.push('is_starred = ?');
+    params.push(starred);
+  }
+  if (updates.length === 0) {
+    throw new MessageStateError('Nothing to update; set read or starred');
+  }
+
+  const ids = await ownedEmailIds(userId, tempEmailId, emailIds);
+  if (ids.length > 0) {
+    await pool.query(`UPDATE received_emails SET ${updates.join(', ')} WHERE id IN (?)`, [...params, ids]);
+  }
+  return ids;
+}
+
+// Delete received emails together with their stored attachments and raw sources;
+// returns the ids that were deleted
+export async function deleteMessages(userId, tempEmailId, emailIds) {
+  const ids = await ownedEmailIds(userId, tempEmailId, emailIds);
+  if (ids.length === 0) {
+    return ids;
+  }
+
+  // Stored attachment objects and raw sources are not covered by the foreign key cascade
+  await removeAttachmentsForEmails(ids);
+  await removeRawMessagesForEmails(ids);
+  await pool.query('DELETE FROM received_emails WHERE id IN (?)', [ids]);
+  return ids;
+}
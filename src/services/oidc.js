@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { revokeAllSessions } from './sessions.js';
+import { sendMail } from './mailer.js';
+
+const STATE_TTL_MINUTES = 10;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+export class OidcError extends Error {}
+
+// "google" is preconfigured; "oidc" is any issuer that publishes discovery metadata
+function getProviderConfigs() {
+  return {
+    google: {
+      issuer: 'https://accounts.google.com',
+      // Google ID tokens may carry the issuer without the scheme
+      issuerAliases: ['accounts.google.com'],
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET
+    },
+    oidc: {
+      issuer: process.env.OIDC_ISSUER,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET
+    }
+  };
+}
+
+export function getProvider(name) {
+  const config = getProviderConfigs()[name];
+  if (!config || !config.issuer || !config.clientId) {
+    return null;
+  }
+  return { name, ...config };
+}
+
+export function callbackUrl(provider) {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base}/auth/oidc/${provider.name}/callback`;
+}
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+async function discover(issuer) {
+  if (!discoveryCache.has(issuer)) {
+    const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: 10000 });
+    if (data.issuer !== issuer) {
+      throw new OidcError('Discovery document issuer does not match');
+    }
+    discoveryCache.set(issuer, data);
+  }
+  return discoveryCache.get(issuer);
+}
+
+// Look up a signing key by kid, refetching the JWKS once in case the provider rotated keys
+async function getSigningKey(jwksUri, kid) {
+  for (const refresh of [false, true]) {
+    if (refresh || !jwksCache.has(jwksUri)) {
+      const { data } = await axios.get(jwksUri, { timeout: 10000 });
+      jwksCache.set(jwksUri, data.keys || []);
+    }
+    const jwk = jwksCache.get(jwksUri).find(key => key.kid === kid);
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+  throw new OidcError('No matching signing key for ID token');
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+// Build the authorization URL and remember the state, nonce and PKCE verifier for the callback
+export async function beginLogin(provider, returnTo) {
+  const metadata = await discover(provider.issuer);
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await pool.query(`
+    INSERT INTO oidc_login_states (state, provider, nonce, code_verifier, return_to, expires_at)
+    VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+  `, [state, provider.name, nonce, codeVerifier, returnTo || null, STATE_TTL_MINUTES]);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: callbackUrl(provider),
+    scope: 'openid email profile',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+}
+
+// Consume the stored state (single use) and return it
+async function takeLoginState(provider, state) {
+  const [states] = await pool.query(
+    'SELECT * FROM oidc_login_states WHERE state = ? AND provider = ? AND expires_at > NOW()',
+    [state || '', provider.name]
+  );
+  const [result] = await pool.query('DELETE FROM oidc_login_states WHERE state = ?', [state || '']);
+  if (states.length === 0 || result.affectedRows === 0) {
+    throw new OidcError('Invalid or expired login state');
+  }
+  return states[0];
+}
+
+async function validateIdToken(provider, metadata, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Malformed ID token');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: SUPPORTED_ALGORITHMS,
+      issuer: [provider.issuer, ...(provider.issuerAliases || [])],
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new OidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce mismatch');
+  }
+  return claims;
+}
+
+// Exchange the authorization code and return the validated ID token claims plus where to send the user
+export async function completeLogin(provider, { code, state }) {
+  const loginState = await takeLoginState(provider, state);
+  const metadata = await discover(provider.issuer);
+
+  let tokens;
+  try {
+    const { data } = await axios.post(metadata.token_endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: callbackUrl(provider),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: loginState.code_verifier
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+    tokens = data;
+  } catch (error) {
+    throw new OidcError('Authorization code exchange failed');
+  }
+
+  if (!tokens.id_token) {
+    throw new OidcError('Token response did not include an ID token');
+  }
+
+  const claims = await validateIdToken(provider, metadata, tokens.id_token, loginState.nonce);
+  return { claims, returnTo: loginState.return_to };
+}
+
+// Find the user for an identity: an existing link, then a verified email match, then a new passwordless user
+export async function resolveUser(provider, claims) {
+  const [identities] = await pool.query(`
+    SELECT u.* FROM user_identities ui
+    JOIN users u ON ui.user_id = u.id
+    WHERE ui.issuer = ? AND ui.subject = ?
+  `, [provider.issuer, claims.sub]);
+  if (identities.length > 0) {
+    return identities[0];
+  }
+
+  // Accounts linked to Google before user_identities existed only have google_id set
+  if (provider.name === 'google') {
+    const [googleUsers] = await pool.query('SELECT * FROM users WHERE google_id = ?', [claims.sub]);
+    if (googleUsers.length > 0) {
+      await pool.query(
+        'INSERT INTO user_identities (id, user_id, provider, issuer, subject) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), googleUsers[0].id, provider.name, provider.issuer, claims.sub]
+      );
+      return googleUsers[0];
+    }
+  }
+
+  if (!claims.email) {
+    throw new OidcError('Provider did not share an email address');
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [claims.email]);
+
+  let userId;
+  let credentialsReset = false;
+  if (users.length > 0) {
+    // Linking on an unverified email would let anyone claim an existing account
+    if (!emailVerified) {
+      throw new OidcError('Email must be verified by the provider to link an existing account');
+    }
+    userId = users[0].id;
+    // Nobody proved they own an unverified local account, so it may have been registered by
+    // someone else ahead of the real owner: drop every credential it has before linking
+    if (!users[0].email_verified_at) {
+      await pool.query('UPDATE users SET password = NULL WHERE id = ?', [userId]);
+      await pool.query(
+        'UPDATE personal_api_keys SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+      );
+      await revokeAllSessions(userId);
+      credentialsReset = true;
+      await notifyCredentialsReset(claims.email, provider.name);
+    }
+  } else {
+    userId = uuidv4();
+    await pool.query(
+      'INSERT INTO users (id, email, password, email_verified_at) VALUES (?, ?, NULL, ?)',
+      [userId, claims.email, emailVerified ? new Date() : null]
+    );
+  }
+
+  await pool.query(
+    'INSERT INTO user_identities (id, user_id, provider, issuer, subject) VALUES (?, ?, ?, ?, ?)',
+    [uuidv4(), userId, provider.name, provider.issuer, claims.sub]
+  );
+
+  if (provider.name === 'google') {
+    await pool.query('UPDATE users SET google_id = ? WHERE id = ?', [claims.sub, userId]);
+  }
+  if (emailVerified) {
+    await pool.query(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL',
+      [userId]
+    );
+  }
+
+  const [linked] = await pool.query('SELECT * FROM users WHERE id = ?', [userId]);
+  return { ...linked[0], credentials_reset: credentialsReset };
+}
+
+// The sign-in itself succeeds either way, so a mail failure is only logged
+async function notifyCredentialsReset(email, providerName) {
+  try {
+    await sendMail({
+      to: email,
+      subject: 'Your account password and API keys were removed',
+      text: `Your account was linked to your ${providerName} sign-in. Its email address had never been verified, so its password, API keys and other sessions were removed in case someone else registered it.\n\nSign in with ${providerName}, or use "Forgot password" to set a new password.`
+    });
+  } catch (error) {
+    console.error('Failed to send credentials reset notice:', error);
+  }
+}
+
+// Only send users back to origins we trust
+export function isAllowedReturnTo(returnTo) {
+  if (!returnTo) {
+    return true;
+  }
+  const allowed = (process.env.OIDC_ALLOWED_REDIRECTS || process.env.APP_URL || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  try {
+    return allowed.includes(new URL(returnTo).origin);
+  } catch (error) {
+    return false;
+  }
+}
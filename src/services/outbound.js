@@ -0,0 +1,235 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { sendMail } from './mailer.js';
+import { cleanAddress } from './mail-ingest.js';
+
+const MAX_RECIPIENTS = parseInt(process.env.SEND_MAX_RECIPIENTS, 10) || 10;
+const ADDRESS_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+export class SendError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function quotas() {
+  return {
+    hour: parseInt(process.env.SEND_QUOTA_PER_HOUR, 10) || 20,
+    day: parseInt(process.env.SEND_QUOTA_PER_DAY, 10) || 100
+  };
+}
+
+// Accept a single address, a comma separated list or an array
+function parseRecipients(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(address => String(address).trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = list.filter(address => !ADDRESS_PATTERN.test(address));
+  if (invalid.length > 0) {
+    throw new SendError(`Invalid ${field} address: ${invalid.join(', ')}`);
+  }
+  return list;
+}
+
+// Messages sent by the user in the last hour and day, failed attempts included
+export async function getSendUsage(userId, db = pool) {
+  const [[usage]] = await db.query(`
+    SELECT
+      COUNT(CASE WHEN sent_at > DATE_SUB(NOW(), INTERVAL 1 HOUR) THEN 1 END) AS hour,
+      COUNT(*) AS day
+    FROM sent_emails
+    WHERE user_id = ? AND sent_at > DATE_SUB(NOW(), INTERVAL 1 DAY)
+  `, [userId]);
+
+  const limits = quotas();
+  return {
+    hour: { used: Number(usage.hour), limit: limits.hour },
+    day: { used: Number(usage.day), limit: limits.day }
+  };
+}
+
+async function assertCanSend(userId) {
+  const [users] = await pool.query('SELECT email_verified_at FROM users WHERE id = ?', [userId]);
+  if (users.length === 0 || !users[0].email_verified_at) {
+    throw new SendError('Verify your email address before sending mail', 403);
+  }
+}
+
+// Check the quota and record the message as "sending" in one transaction. Locking the user
+// row makes concurrent sends take turns, so each one counts the messages before it
+async function reserveSend(userId, sender, message, id, messageId) {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    await connection.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+    const usage = await getSendUsage(userId, connection);
+    if (usage.hour.used >= usage.hour.limit) {
+      throw new SendError(`Hourly sending quota of ${usage.hour.limit} messages reached`, 429);
+    }
+    if (usage.day.used >= usage.day.limit) {
+      throw new SendError(`Daily sending quota of ${usage.day.limit} messages reached`, 429);
+    }
+
+    await connection.query(`
+      INSERT INTO sent_emails (
+        id, temp_email_id, user_id, reply_to_email_id, to_addresses, cc_addresses, subject,
+        body_text, body_html, message_id, in_reply_to, references_header, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sending')
+    `, [
+      id,
+      sender.id,
+      userId,
+      message.replyToEmailId || null,
+      JSON.stringify(message.to),
+      JSON.stringify(message.cc),
+      message.subject,
+      message.text || null,
+      message.html || null,
+      messageId,
+      message.inReplyTo || null,
+      message.references || null
+    ]);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// The user's active temporary email with the signing settings of its domain
+async function loadSender(userId, tempEmailId) {
+  const [senders] = await pool.query(`
+    SELECT te.id, te.email, d.domain, d.dkim_selector, d.dkim_private_key
+    FROM temp_emails te
+    JOIN domains d ON te.domain_id = d.id
+    WHERE te.id = ? AND te.user_id = ? AND te.expires_at > NOW() AND d.is_active = TRUE
+  `, [tempEmailId, userId]);
+  if (senders.length === 0) {
+    throw new SendError('Email not found', 404);
+  }
+  return senders[0];
+}
+
+function dkimFor(sender) {
+  if (!sender.dkim_selector || !sender.dkim_private_key) {
+    return undefined;
+  }
+  return {
+    domainName: sender.domain,
+    keySelector: sender.dkim_selector,
+    privateKey: sender.dkim_private_key
+  };
+}
+
+// Reserve a quota slot, send through the configured transport and record the outcome either way
+async function deliver(userId, sender, message) {
+  const id = uuidv4();
+  const messageId = `<${id}@${sender.domain}>`;
+  await reserveSend(userId, sender, message, id, messageId);
+
+  let error = null;
+
+  try {
+    await sendMail({
+      from: sender.email,
+      to: message.to,
+      cc: message.cc.length > 0 ? message.cc : undefined,
+      subject: message.subject,
+      text: message.text || undefined,
+      html: message.html || undefined,
+      messageId,
+      inReplyTo: message.inReplyTo || undefined,
+      references: message.references || undefined,
+      dkim: dkimFor(sender)
+    });
+  } catch (sendError) {
+    console.error(`Failed to send mail from ${sender.email}:`, sendError);
+    error = sendError.message;
+  }
+
+  await pool.query(
+    'UPDATE sent_emails SET status = ?, error = ? WHERE id = ?',
+    [error ? 'failed' : 'sent', error, id]
+  );
+
+  if (error) {
+    throw new SendError('The mail server did not accept the message', 502);
+  }
+
+  const [sent] = await pool.query('SELECT * FROM sent_emails WHERE id = ?', [id]);
+  return sent[0];
+}
+
+function validateBody({ subject, text, html }) {
+  if (!text && !html) {
+    throw new SendError('A text or html body is required');
+  }
+  if (subject !== undefined && typeof subject !== 'string') {
+    throw new SendError('subject must be a string');
+  }
+}
+
+// Compose a new message from one of the user's temporary emails
+export async function sendFromTempEmail(userId, tempEmailId, { to, cc, subject, text, html }) {
+  validateBody({ subject, text, html });
+  const toList = parseRecipients(to, 'to');
+  const ccList = parseRecipients(cc, 'cc');
+  if (toList.length === 0) {
+    throw new SendError('At least one recipient is required');
+  }
+  if (toList.length + ccList.length > MAX_RECIPIENTS) {
+    throw new SendError(`At most ${MAX_RECIPIENTS} recipients are allowed`);
+  }
+
+  const sender = await loadSender(userId, tempEmailId);
+  await assertCanSend(userId);
+
+  return deliver(userId, sender, { to: toList, cc: ccList, subject: subject || '', text, html });
+}
+
+// Reply to a received email, threading it under the original message
+export async function replyToReceivedEmail(userId, tempEmailId, receivedEmailId, { cc, text, html }) {
+  validateBody({ text, html });
+  const ccList = parseRecipients(cc, 'cc');
+  if (ccList.length + 1 > MAX_RECIPIENTS) {
+    throw new SendError(`At most ${MAX_RECIPIENTS} recipients are allowed`);
+  }
+
+  const sender = await loadSender(userId, tempEmailId);
+  const [originals] = await pool.query(
+    'SELECT * FROM received_emails WHERE id = ? AND temp_email_id = ?',
+    [receivedEmailId, sender.id]
+  );
+  if (originals.length === 0) {
+    throw new SendError('Received email not found', 404);
+  }
+  const original = originals[0];
+
+  // from_email can hold the whole From header, display name included
+  const to = parseRecipients(cleanAddress(original.from_email), 'to');
+  if (to.length === 0) {
+    throw new SendError('The original message has no sender to reply to');
+  }
+  await assertCanSend(userId);
+
+  const subject = original.subject || '';
+  return deliver(userId, sender, {
+    to,
+    cc: ccList,
+    subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+    text,
+    html,
+    replyToEmailId: original.id,
+    inReplyTo: original.message_id,
+    // The thread so far followed by the message being answered (RFC 5322 section 3.6.4)
+    references: [original.references_header, original.message_id].filter(Boolean).join(' ')
+  });
+}
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { hashApiKey } from './admin-keys.js';
+
+export const PERSONAL_KEY_PREFIX = 'pat_';
+
+// inbox:read covers GET requests, inbox:write every other request on the user's inboxes;
+// sending mail needs mail:send. Webhooks and forwarding, which route mail elsewhere, are
+// never available to keys
+export const PERSONAL_SCOPES = ['inbox:read', 'inbox:write', 'addresses:create', 'mail:send'];
+
+const MAX_KEYS = parseInt(process.env.API_KEYS_MAX_PER_USER, 10) || 20;
+
+export class PersonalKeyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function generateKey() {
+  const key = PERSONAL_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+}
+
+function toPublicKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    temp_email_id: row.temp_email_id,
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+export async function listPersonalKeys(userId) {
+  const [keys] = await pool.query(
+    'SELECT * FROM personal_api_keys WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  );
+  return keys.map(toPublicKey);
+}
+
+// Create a key; the plaintext is only ever returned here. "tempEmailId" limits the key to
+// one of the user's temporary emails and "expiresAt" to a point in time
+export async function createPersonalKey(userId, { name, scopes, tempEmailId = null, expiresAt = null }) {
+  if (!name || typeof name !== 'string' || name.length > 255) {
+    throw new PersonalKeyError('A name of at most 255 characters is required');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new PersonalKeyError('At least one scope is required');
+  }
+  const unknown = scopes.filter(scope => !PERSONAL_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new PersonalKeyError(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+  if (tempEmailId && scopes.includes('addresses:create')) {
+    throw new PersonalKeyError('A key limited to one temporary email cannot create addresses');
+  }
+
+  let expires = null;
+  if (expiresAt) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      throw new PersonalKeyError('expires_at must be a date in the future');
+    }
+  }
+
+  if (tempEmailId) {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [tempEmailId, userId]
+    );
+    if (tempEmails.length === 0) {
+      throw new PersonalKeyError('Email not found', 404);
+    }
+  }
+
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) AS total FROM personal_api_keys WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  if (total >= MAX_KEYS) {
+    throw new PersonalKeyError(`At most ${MAX_KEYS} active API keys are allowed`);
+  }
+
+  const id = uuidv4();
+  const { key, prefix, hash } = generateKey();
+  await pool.query(`
+    INSERT INTO personal_api_keys (id, user_id, name, key_prefix, key_hash, scopes, temp_email_id, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, userId, name, prefix, hash, JSON.stringify([...new Set(scopes)]), tempEmailId, expires]);
+
+  const [rows] = await pool.query('SELECT * FROM personal_api_keys WHERE id = ?', [id]);
+  return { ...toPublicKey(rows[0]), key };
+}
+
+export async function revokePersonalKey(userId, id) {
+  const [result] = await pool.query(
+    'UPDATE personal_api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [id, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Resolve an unrevoked key from its plaintext along with its owner, and record that it was
+// used. Expired keys are returned with expired: true so callers can say why they failed
+export async function findActivePersonalKey(key) {
+  const [rows] = await pool.query(`
+    SELECT pk.*, u.email AS user_email, pk.expires_at IS NOT NULL AND pk.expires_at <= NOW() AS expired
+    FROM personal_api_keys pk
+    JOIN users u ON pk.user_id = u.id
+    WHERE pk.key_hash = ? AND pk.revoked_at IS NULL
+  `, [hashApiKey(key)]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const row = rows[0];
+  if (row.expired) {
+    return { expired: true };
+  }
+
+  pool.query('UPDATE personal_api_keys SET last_used_at = NOW() WHERE id = ?', [row.id])
+    .catch(error => console.error('Failed to record API key usage:', error));
+
+  return { ...toPublicKey(row), user_id: row.user_id, user_email: row.user_email, expired: false };
+}
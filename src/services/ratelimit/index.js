@@ -0,0 +1,57 @@
+import { createMemoryStore } from './memory.js';
+import { createRedisStore } from './redis.js';
+
+let storePromise = null;
+
+// Resolve the counter store named by RATE_LIMIT_STORE ("memory" or "redis")
+export function getRateLimitStore() {
+  if (!storePromise) {
+    const backend = process.env.RATE_LIMIT_STORE || 'memory';
+    if (backend === 'redis') {
+      storePromise = createRedisStore();
+    } else if (backend === 'memory') {
+      storePromise = Promise.resolve(createMemoryStore());
+    } else {
+      storePromise = Promise.reject(new Error(`Unknown rate limit store: ${backend}`));
+    }
+  }
+  return storePromise;
+}
+
+// Limits are "<requests>/<seconds>"; RATE_LIMIT_<NAME> overrides a route's default and "off" disables it
+export function getLimit(name, defaults) {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') {
+    return null;
+  }
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}`];
+  if (override === 'off') {
+    return null;
+  }
+  const match = override && override.match(/^(\d+)\/(\d+)$/);
+  if (match) {
+    return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+  }
+  return defaults;
+}
+
+// Count one request against a bucket; store failures let the request through
+export async function consume(name, identifier, defaults) {
+  const config = getLimit(name, defaults);
+  if (!config) {
+    return null;
+  }
+
+  try {
+    const store = await getRateLimitStore();
+    const { count, resetAt } = await store.hit(`${name}:${identifier}`, config.windowSeconds);
+    return {
+      ...config,
+      remaining: Math.max(config.limit - count, 0),
+      resetSeconds: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0),
+      limited: count > config.limit
+    };
+  } catch (error) {
+    console.error(`Rate limit check for ${name} failed:`, error);
+    return null;
+  }
+}
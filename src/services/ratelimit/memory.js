@@ -0,0 +1,30 @@
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Single-process fixed-window counters; each instance limits on its own
+export function createMemoryStore() {
+  const windows = new Map();
+
+  // Drop finished windows so idle keys do not accumulate
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  return {
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    }
+  };
+}
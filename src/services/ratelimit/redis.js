@@ -0,0 +1,20 @@
+// Shared counters in Redis so every app instance enforces the same limits
+export async function createRedisStore() {
+  const { createClient } = await import('redis');
+  const client = createClient({ url: process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL });
+  client.on('error', error => console.error('Redis rate limit store error:', error));
+  await client.connect();
+
+  return {
+    async hit(key, windowSeconds) {
+      const redisKey = `ratelimit:${key}`;
+      // The expiry is only set by the first hit, which opens the window
+      const [count, , ttl] = await client.multi()
+        .incr(redisKey)
+        .pExpire(redisKey, windowSeconds * 1000, 'NX')
+        .pTTL(redisKey)
+        .exec();
+      return { count: Number(count), resetAt: Date.now() + Math.max(Number(ttl), 0) };
+    }
+  };
+}
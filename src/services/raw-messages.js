@@ -0,0 +1,160 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { pipeline } from 'stream/promises';
+import { pool } from '../db/init.js';
+import { getStorage } from './storage/index.js';
+
+const gzip = promisify(zlib.gzip);
+
+function storageKeyFor(emailId) {
+  return `raw/${emailId}.eml.gz`;
+}
+
+// The asctime form mbox separators use, e.g. "Mon Oct  5 14:03:09 2026"
+function asctime(date) {
+  const [weekday, day, month, year, time] = new Date(date).toUTCString().split(' ');
+  return `${weekday.slice(0, 3)} ${month} ${day.replace(/^0/, '').padStart(2, ' ')} ${time} ${year}`;
+}
+
+// Raw sources are kept unless RAW_MESSAGE_STORAGE=false
+function rawStorageEnabled() {
+  return process.env.RAW_MESSAGE_STORAGE !== 'false';
+}
+
+// Compress and upload the original message; returns the columns to store with the email,
+// both null when there is no source (providers that only post parsed fields)
+export async function storeRawMessage(emailId, raw) {
+  if (!raw || raw.length === 0 || !rawStorageEnabled()) {
+    return { raw_storage_key: null, raw_size: null };
+  }
+
+  const compressed = await gzip(raw);
+  const storageKey = storageKeyFor(emailId);
+  await getStorage().put(storageKey, compressed, {
+    contentType: 'application/gzip',
+    contentLength: compressed.length
+  });
+  return { raw_storage_key: storageKey, raw_size: raw.length };
+}
+
+// Decompressed stream of a stored source
+export async function openRawMessage(storageKey) {
+  const stored = await getStorage().get(storageKey);
+  return stored.pipe(zlib.createGunzip());
+}
+
+export async function readRawMessage(storageKey) {
+  const chunks = [];
+  for await (const chunk of await openRawMessage(storageKey)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Respond with the source of a received email, inline as text or as a .eml download
+export async function sendRawMessage(res, email, { download = false } = {}) {
+  if (!email.raw_storage_key) {
+    return res.status(404).json({ error: 'The original source of this email was not kept' });
+  }
+
+  let source;
+  try {
+    source = await openRawMessage(email.raw_storage_key);
+  } catch (error) {
+    console.error(`Failed to read raw message ${email.raw_storage_key}:`, error);
+    return res.status(404).json({ error: 'The original source of this email was not kept' });
+  }
+
+  if (download) {
+    res.setHeader('Content-Type', 'message/rfc822');
+    res.setHeader('Content-Disposition', `attachment; filename="${email.id}.eml"`);
+  } else {
+    // Never let a browser render the message as anything but text
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+  }
+  await pipeline(source, res);
+}
+
+// Write an inbox as mboxrd: each message after a "From " separator, with body lines
+// that already start with (quoted) "From " quoted once more
+// Resolve once the response can take more data or the client has gone away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+}
+
+export async function writeMbox(res, tempEmailId) {
+  let cursor = null;
+  for (;;) {
+    const [emails] = await pool.query(`
+      SELECT id, from_email, received_at, raw_storage_key
+      FROM received_emails
+      WHERE temp_email_id = ? AND raw_storage_key IS NOT NULL
+        ${cursor ? 'AND (received_at > ? OR (received_at = ? AND id > ?))' : ''}
+      ORDER BY received_at, id
+      LIMIT 100
+    `, cursor ? [tempEmailId, cursor.received_at, cursor.received_at, cursor.id] : [tempEmailId]);
+
+    for (const email of emails) {
+      // Stop reading from storage once the client has disconnected
+      if (res.destroyed) {
+        return;
+      }
+      let raw;
+      try {
+        raw = await readRawMessage(email.raw_storage_key);
+      } catch (error) {
+        console.error(`Skipping unreadable raw message ${email.raw_storage_key}:`, error);
+        continue;
+      }
+      const sender = (email.from_email || '').match(/[^\s<>]+@[^\s<>]+/)?.[0] || 'MAILER-DAEMON';
+      const body = raw.toString('latin1')
+        .replace(/\r\n/g, '\n')
+        .replace(/^(>*From )/gm, '>$1')
+        .replace(/\n*$/, '\n');
+      const chunk = Buffer.from(`From ${sender} ${asctime(email.received_at)}\n${body}\n`, 'latin1');
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (emails.length < 100 || res.destroyed) {
+      break;
+    }
+    cursor = emails[emails.length - 1];
+  }
+  if (!res.destroyed) {
+    res.end();
+  }
+}
+
+// Delete stored sources of the given received emails; failures are logged so row deletion
+// can still go ahead
+export async function removeRawMessagesForEmails(emailIds) {
+  if (emailIds.length === 0) {
+    return 0;
+  }
+  const [emails] = await pool.query(
+    'SELECT raw_storage_key FROM received_emails WHERE id IN (?) AND raw_storage_key IS NOT NULL',
+    [emailIds]
+  );
+  const storage = getStorage();
+  for (const { raw_storage_key: key } of emails) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Failed to delete raw message ${key}:`, error);
+    }
+  }
+  return emails.length;
+}
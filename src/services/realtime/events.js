@@ -0,0 +1,21 @@
+import { getPubSub } from './pubsub.js';
+
+function inboxChannel(tempEmailId) {
+  return `inbox:${tempEmailId}`;
+}
+
+// Announce a newly stored email to everyone watching its inbox
+export async function publishInboxEvent(tempEmailId, event) {
+  try {
+    const pubsub = await getPubSub();
+    await pubsub.publish(inboxChannel(tempEmailId), event);
+  } catch (error) {
+    // Delivery is best effort; the email is already stored
+    console.error('Failed to publish inbox event:', error);
+  }
+}
+
+export async function subscribeInbox(tempEmailId, handler) {
+  const pubsub = await getPubSub();
+  return pubsub.subscribe(inboxChannel(tempEmailId), handler);
+}
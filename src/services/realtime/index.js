@@ -0,0 +1,4 @@
+export { publishInboxEvent, subscribeInbox } from './events.js';
+export { openEventStream } from './sse.js';
+export { waitForInboxEvent } from './wait.js';
+export { attachWebSocketServer } from './websocket.js';
@@ -0,0 +1,89 @@
+import { EventEmitter } from 'events';
+
+// Single-process backend: events only reach subscribers in this instance
+function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => emitter.off(channel, handler);
+    }
+  };
+}
+
+// Redis backend: fans events out to every app instance sharing REDIS_URL
+async function createRedisPubSub() {
+  const { createClient } = await import('redis');
+  const publisher = createClient({ url: process.env.REDIS_URL });
+  const subscriber = publisher.duplicate();
+
+  publisher.on('error', error => console.error('Redis publisher error:', error));
+  subscriber.on('error', error => console.error('Redis subscriber error:', error));
+  try {
+    await Promise.all([publisher.connect(), subscriber.connect()]);
+  } catch (error) {
+    // Close whichever client did connect so a retry does not leave it behind
+    await Promise.allSettled([publisher.disconnect(), subscriber.disconnect()]);
+    throw error;
+  }
+
+  // Share one Redis subscription per channel between local listeners
+  const local = createMemoryPubSub();
+  const channelCounts = new Map();
+
+  return {
+    async publish(channel, message) {
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      const unsubscribeLocal = await local.subscribe(channel, handler);
+      const count = channelCounts.get(channel) || 0;
+      channelCounts.set(channel, count + 1);
+
+      if (count === 0) {
+        await subscriber.subscribe(channel, raw => {
+          local.publish(channel, JSON.parse(raw));
+        });
+      }
+
+      return async () => {
+        await unsubscribeLocal();
+        const remaining = channelCounts.get(channel) - 1;
+        if (remaining === 0) {
+          channelCounts.delete(channel);
+          await subscriber.unsubscribe(channel);
+        } else {
+          channelCounts.set(channel, remaining);
+        }
+      };
+    }
+  };
+}
+
+let pubsubPromise = null;
+
+// Resolve the backend named by REALTIME_PUBSUB ("memory" or "redis")
+export function getPubSub() {
+  if (!pubsubPromise) {
+    const backend = process.env.REALTIME_PUBSUB || 'memory';
+    if (backend === 'redis') {
+      // Forget a failed connection so the next caller tries again
+      pubsubPromise = createRedisPubSub().catch(error => {
+        pubsubPromise = null;
+        throw error;
+      });
+    } else if (backend === 'memory') {
+      pubsubPromise = Promise.resolve(createMemoryPubSub());
+    } else {
+      pubsubPromise = Promise.reject(new Error(`Unknown realtime pub/sub backend: ${backend}`));
+    }
+  }
+  return pubsubPromise;
+}
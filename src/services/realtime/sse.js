@@ -0,0 +1,38 @@
+import { subscribeInbox } from './events.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // 25 seconds
+
+// Hold the response open as a Server-Sent Events stream for one inbox
+export async function openEventStream(req, res, tempEmailId) {
+  // The compression middleware buffers output unless it is flushed explicitly
+  const write = chunk => {
+    res.write(chunk);
+    if (res.flush) {
+      res.flush();
+    }
+  };
+
+  const unsubscribe = await subscribeInbox(tempEmailId, event => {
+    write(`id: ${event.id}\nevent: email\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // The client may have gone away while we were subscribing
+  if (req.socket.destroyed) {
+    return unsubscribe();
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  write(': connected\n\n');
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,35 @@
+import { subscribeInbox } from './events.js';
+
+// Resolve with the first inbox event accepted by "matches", or null once the timeout passes
+// or the client disconnects. Nothing but the pub/sub subscription is held while waiting.
+// "ready" runs once subscribed, so a check for mail that arrived earlier cannot race an event
+export async function waitForInboxEvent(tempEmailId, { matches, timeoutMs, res, ready }) {
+  let settle;
+  const result = new Promise(resolve => {
+    settle = resolve;
+  });
+
+  const unsubscribe = await subscribeInbox(tempEmailId, event => {
+    if (matches(event)) {
+      settle(event);
+    }
+  });
+  const timer = setTimeout(() => settle(null), timeoutMs);
+  const onClose = () => settle(null);
+  // The response closes early only when the client goes away
+  res.on('close', onClose);
+
+  try {
+    if (ready) {
+      const early = await ready();
+      if (early) {
+        settle(early);
+      }
+    }
+    return await result;
+  } finally {
+    clearTimeout(timer);
+    res.off('close', onClose);
+    await unsubscribe();
+  }
+}
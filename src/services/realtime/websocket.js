@@ -0,0 +1,105 @@
+import { WebSocketServer } from 'ws';
+import { pool } from '../../db/init.js';
+import { verifyAccessToken } from '../../middleware/auth.js';
+import { resolvePublicInbox } from '../inbox-tokens.js';
+import { subscribeInbox } from './events.js';
+
+const STREAM_PATH = '/emails/stream';
+const PING_INTERVAL = 30 * 1000; // 30 seconds
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Owned inboxes are addressed by id with a JWT, anonymous ones by address with their inbox token
+async function resolveInbox(params) {
+  const id = params.get('id');
+  if (id) {
+    const user = await verifyAccessToken(params.get('access_token'));
+    if (!user) {
+      return { status: 401, message: 'Unauthorized' };
+    }
+
+    const [emails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [id, user.id]
+    );
+    return emails.length > 0 ? { tempEmailId: emails[0].id } : { status: 404, message: 'Not Found' };
+  }
+
+  const email = params.get('email');
+  if (email) {
+    const inbox = await resolvePublicInbox(email, params.get('inbox_token'));
+    if (!inbox.tempEmail) {
+      return { status: inbox.status, message: inbox.status === 401 ? 'Unauthorized' : 'Not Found' };
+    }
+    return { tempEmailId: inbox.tempEmail.id };
+  }
+
+  return { status: 400, message: 'Bad Request' };
+}
+
+// Serve inbox events over WebSocket at /emails/stream?id=...&access_token=...
+// or ?email=...&inbox_token=...
+export function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== STREAM_PATH) {
+      return socket.destroy();
+    }
+
+    try {
+      const inbox = await resolveInbox(url.searchParams);
+      if (!inbox.tempEmailId) {
+        return rejectUpgrade(socket, inbox.status, inbox.message);
+      }
+
+      wss.handleUpgrade(req, socket, head, ws => {
+        wss.emit('connection', ws, inbox.tempEmailId);
+      });
+    } catch (error) {
+      console.error('WebSocket upgrade failed:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  wss.on('connection', async (ws, tempEmailId) => {
+    let alive = true;
+    ws.on('pong', () => {
+      alive = true;
+    });
+
+    let unsubscribe;
+    try {
+      unsubscribe = await subscribeInbox(tempEmailId, event => {
+        ws.send(JSON.stringify({ type: 'email', data: event }));
+      });
+    } catch (error) {
+      console.error('WebSocket subscribe failed:', error);
+      return ws.close(1011);
+    }
+
+    // The client may have disconnected while we were subscribing
+    if (ws.readyState !== ws.OPEN) {
+      return unsubscribe();
+    }
+
+    const ping = setInterval(() => {
+      if (!alive) {
+        return ws.terminate();
+      }
+      alive = false;
+      ws.ping();
+    }, PING_INTERVAL);
+
+    ws.on('close', () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+  });
+
+  return wss;
+}
@@ -0,0 +1,118 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+// Tier used for public addresses that have no owner
+export const ANONYMOUS_TIER = 'anonymous';
+
+export const RETENTION_FIELDS = ['mail_ttl_hours', 'address_ttl_hours', 'grace_hours'];
+
+export class RetentionError extends Error {}
+
+// Unset means the default below; "none" disables the limit
+function hoursFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (value === 'none') {
+    return null;
+  }
+  const hours = parseInt(value, 10);
+  return Number.isNaN(hours) ? fallback : hours;
+}
+
+// Server-wide defaults: mail is kept for 3 days, addresses until their own expiry,
+// and expired addresses linger for a day before they are removed
+export function defaultPolicy() {
+  return {
+    mail_ttl_hours: hoursFromEnv('RETENTION_MAIL_TTL_HOURS', 72),
+    address_ttl_hours: hoursFromEnv('RETENTION_ADDRESS_TTL_HOURS', null),
+    grace_hours: hoursFromEnv('RETENTION_GRACE_HOURS', 24)
+  };
+}
+
+export async function loadPolicies() {
+  const [rows] = await pool.query('SELECT * FROM retention_policies');
+  return {
+    byDomain: new Map(rows.filter(row => row.domain_id).map(row => [row.domain_id, row])),
+    byTier: new Map(rows.filter(row => row.tier).map(row => [row.tier, row]))
+  };
+}
+
+// The tier policy (or the default) decides each value; a domain policy caps it,
+// so operators can keep a domain stricter than any tier allows. null means no limit
+export function effectivePolicy(policies, domainId, tier) {
+  const defaults = defaultPolicy();
+  const tierPolicy = policies.byTier.get(tier) || {};
+  const domainPolicy = policies.byDomain.get(domainId) || {};
+
+  const policy = {};
+  for (const field of RETENTION_FIELDS) {
+    const base = tierPolicy[field] ?? defaults[field];
+    const cap = domainPolicy[field] ?? null;
+    policy[field] = cap === null ? base : (base === null ? cap : Math.min(base, cap));
+  }
+  return policy;
+}
+
+// Policy for a new address, so its expiry respects the address TTL from the start
+export async function resolvePolicy({ domainId, userId }) {
+  let tier = ANONYMOUS_TIER;
+  if (userId) {
+    const [users] = await pool.query('SELECT tier FROM users WHERE id = ?', [userId]);
+    tier = users[0]?.tier || tier;
+  }
+  return effectivePolicy(await loadPolicies(), domainId, tier);
+}
+
+export async function listRetentionPolicies() {
+  const [policies] = await pool.query(`
+    SELECT rp.*, d.domain
+    FROM retention_policies rp
+    LEFT JOIN domains d ON rp.domain_id = d.id
+    ORDER BY rp.tier IS NULL, rp.tier, d.domain
+  `);
+  return { defaults: defaultPolicy(), policies };
+}
+
+// Create or replace the policy for a domain or a tier
+export async function saveRetentionPolicy({ domainId = null, tier = null, ...values }) {
+  if (Boolean(domainId) === Boolean(tier)) {
+    throw new RetentionError('Specify exactly one of domain_id or tier');
+  }
+  for (const field of RETENTION_FIELDS) {
+    const value = values[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw new RetentionError(`${field} must be a non-negative integer or null`);
+    }
+  }
+  if (domainId) {
+    const [domains] = await pool.query('SELECT id FROM domains WHERE id = ?', [domainId]);
+    if (domains.length === 0) {
+      throw new RetentionError('Domain not found');
+    }
+  }
+
+  const fields = RETENTION_FIELDS.map(field => values[field] ?? null);
+  await pool.query(`
+    INSERT INTO retention_policies (id, domain_id, tier, mail_ttl_hours, address_ttl_hours, grace_hours)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      mail_ttl_hours = VALUES(mail_ttl_hours),
+      address_ttl_hours = VALUES(address_ttl_hours),
+      grace_hours = VALUES(grace_hours)
+  `, [uuidv4(), domainId, tier, ...fields]);
+
+  const [saved] = await pool.query(
+    domainId
+      ? 'SELECT * FROM retention_policies WHERE domain_id = ?'
+      : 'SELECT * FROM retention_policies WHERE tier = ?',
+    [domainId || tier]
+  );
+  return saved[0];
+}
+
+export async function deleteRetentionPolicy(id) {
+  const [result] = await pool.query('DELETE FROM retention_policies WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
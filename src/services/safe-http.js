@@ -0,0 +1,57 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Requests to URLs taken from mail or from users must not reach our own network
+export class BlockedHostError extends Error {}
+
+// Loopback, private, link-local and other non-public ranges
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isBlockedAddress(address) {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they wrap
+  const mapped = family === 'ipv6' && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  return mapped
+    ? blockedAddresses.check(mapped[1], 'ipv4')
+    : blockedAddresses.check(address, family);
+}
+
+// Resolve hostnames ourselves so a DNS answer pointing inside the network is refused
+// at connect time, including after redirects
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const allowed = addresses.filter(entry => !isBlockedAddress(entry.address));
+    if (allowed.length === 0) {
+      return callback(new BlockedHostError(`${hostname} resolves to a non-public address`));
+    }
+    if (options.all) {
+      return callback(null, allowed);
+    }
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+}
+
+export const publicHttpAgent = new http.Agent({ lookup: guardedLookup });
+export const publicHttpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// IP literals never reach the lookup function, so they are checked up front
+export function assertPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new BlockedHostError(`${host} is not a public address`);
+  }
+}
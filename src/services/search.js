@@ -0,0 +1,123 @@
+import { pool } from '../db/init.js';
+
+const SNIPPET_LENGTH = 160;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Split a user query into plain terms, dropping boolean-mode operators
+export function parseSearchTerms(query) {
+  return (query || '')
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 1);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Match LIKE wildcards literally
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// Escape text for HTML and wrap every term match in <mark>
+export function highlight(text, terms) {
+  if (!text || terms.length === 0) {
+    return escapeHtml(text || '');
+  }
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+// Cut a window of the body around the first matching term
+export function buildSnippet(text, terms) {
+  const body = (text || '').replace(/\s+/g, ' ').trim();
+  const lower = body.toLowerCase();
+  const positions = terms
+    .map(term => lower.indexOf(term.toLowerCase()))
+    .filter(position => position >= 0);
+
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  const end = Math.min(body.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < body.length ? '…' : '';
+
+  return prefix + highlight(body.slice(start, end), terms) + suffix;
+}
+
+// Search received emails across every temporary email a user owns
+export async function searchReceivedEmails(userId, filters) {
+  const terms = parseSearchTerms(filters.q);
+  const conditions = ['te.user_id = ?'];
+  const params = [userId];
+  let relevance = '0';
+  const relevanceParams = [];
+
+  if (terms.length > 0) {
+    const booleanQuery = terms.map(term => `+${term}*`).join(' ');
+    conditions.push('MATCH(re.subject, re.from_email, re.body_text) AGAINST (? IN BOOLEAN MODE)');
+    params.push(booleanQuery);
+    relevance = 'MATCH(re.subject, re.from_email, re.body_text) AGAINST (? IN BOOLEAN MODE)';
+    relevanceParams.push(booleanQuery);
+  }
+
+  if (filters.tempEmailId) {
+    conditions.push('te.id = ?');
+    params.push(filters.tempEmailId);
+  }
+
+  if (filters.after) {
+    conditions.push('re.received_at >= ?');
+    params.push(filters.after);
+  }
+
+  if (filters.before) {
+    conditions.push('re.received_at < ?');
+    params.push(filters.before);
+  }
+
+  if (filters.senderDomain) {
+    // from_email holds either a bare address or "Name <address>"
+    conditions.push('(re.from_email LIKE ? OR re.from_email LIKE ?)');
+    const domain = escapeLike(filters.senderDomain);
+    params.push(`%@${domain}`, `%@${domain}>`);
+  }
+
+  if (filters.hasAttachments !== undefined) {
+    conditions.push(`${filters.hasAttachments ? '' : 'NOT '}EXISTS (
+      SELECT 1 FROM email_attachments ea WHERE ea.email_id = re.id
+    )`);
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+
+  const [emails] = await pool.query(`
+    SELECT re.id, re.temp_email_id, re.from_email, re.subject, re.body_text, re.received_at,
+           te.email as temp_email,
+           ${relevance} as relevance
+    FROM received_emails re
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY relevance DESC, re.received_at DESC
+    LIMIT ?
+  `, [...relevanceParams, ...params, limit]);
+
+  return emails.map(({ body_text, ...email }) => ({
+    ...email,
+    highlighted_subject: highlight(email.subject, terms),
+    snippet: buildSnippet(body_text, terms)
+  }));
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshExpiry() {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt;
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, isAdmin: Boolean(user.is_admin), sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function tokenResponse(user, sessionId, refreshToken) {
+  const token = signAccessToken(user, sessionId);
+  const { exp } = jwt.decode(token);
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+// Start a session for a user row and return an access/refresh token pair
+export async function createSession(user, req) {
+  const id = uuidv4();
+  const refreshToken = generateRefreshToken();
+
+  await pool.query(`
+    INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    id,
+    user.id,
+    hashToken(refreshToken),
+    (req.headers['user-agent'] || '').slice(0, 255),
+    req.ip,
+    refreshExpiry()
+  ]);
+
+  return tokenResponse(user, id, refreshToken);
+}
+
+// Exchange a refresh token for a new pair. Presenting an already rotated token
+// means it leaked, so the whole session is revoked.
+export async function rotateRefreshToken(refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const [reused] = await pool.query(
+    'SELECT id FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+    [hash]
+  );
+  if (reused.length > 0) {
+    await revokeSession(reused[0].id);
+    return null;
+  }
+
+  const [sessions] = await pool.query(`
+    SELECT s.id, u.id as user_id, u.email, u.is_admin
+    FROM user_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [hash]);
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  const session = sessions[0];
+  const nextToken = generateRefreshToken();
+
+  // Guard on the old hash so two concurrent refreshes cannot both succeed
+  const [result] = await pool.query(`
+    UPDATE user_sessions
+    SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, expires_at = ?, last_used_at = NOW()
+    WHERE id = ? AND refresh_token_hash = ?
+  `, [hashToken(nextToken), refreshExpiry(), session.id, hash]);
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const user = { id: session.user_id, email: session.email, is_admin: session.is_admin };
+  return tokenResponse(user, session.id, nextToken);
+}
+
+export async function revokeSession(sessionId) {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [sessionId]
+  );
+}
+
+export async function revokeAllSessions(userId) {
+  const [result] = await pool.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+export async function isSessionActive(sessionId) {
+  const [sessions] = await pool.query(
+    'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return sessions.length > 0;
+}
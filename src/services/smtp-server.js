@@ -0,0 +1,125 @@
+import fs from 'fs';
+import { SMTPServer } from 'smtp-server';
+import {
+  parseEmailContent,
+  findActiveTempEmail,
+  isHostedDomain,
+  isAlreadyStored,
+  storeReceivedEmail,
+  buildEmailData
+} from './mail-ingest.js';
+import { consumeRateLimit } from '../middleware/rate-limit.js';
+
+const DEFAULT_PORT = 2525;
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+
+function smtpError(message, responseCode) {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+}
+
+// Accept RCPT TO only for active temporary emails on domains we host
+async function handleRcptTo(address, session, callback) {
+  try {
+    const recipient = address.address.toLowerCase();
+
+    if (!(await isHostedDomain(recipient))) {
+      return callback(smtpError('Relay access denied', 550));
+    }
+
+    const tempEmail = await findActiveTempEmail(recipient);
+    if (!tempEmail) {
+      return callback(smtpError('No such user here', 550));
+    }
+
+    // A temporary failure makes well-behaved senders retry later
+    const limit = await consumeRateLimit('inbound-recipient', recipient);
+    if (limit?.limited) {
+      return callback(smtpError('Too many messages for this recipient, try again later', 450));
+    }
+
+    callback();
+  } catch (error) {
+    console.error('SMTP recipient lookup failed:', error);
+    callback(smtpError('Temporary lookup failure', 451));
+  }
+}
+
+function handleData(stream, session, callback) {
+  const chunks = [];
+
+  stream.on('data', chunk => {
+    // Keep reading an oversized message to its end without holding on to it
+    if (stream.sizeExceeded) {
+      chunks.length = 0;
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('error', error => callback(error));
+  stream.on('end', async () => {
+    if (stream.sizeExceeded) {
+      return callback(smtpError('Message exceeds fixed maximum message size', 552));
+    }
+
+    try {
+      const parsedEmail = await parseEmailContent(Buffer.concat(chunks));
+      const emailData = buildEmailData(
+        parsedEmail,
+        parsedEmail.from || session.envelope.mailFrom?.address
+      );
+
+      for (const rcpt of session.envelope.rcptTo) {
+        // The address may have expired since RCPT TO was accepted. A failure below answers
+        // 451, so copies stored before it are skipped when the sender retries
+        const tempEmail = await findActiveTempEmail(rcpt.address.toLowerCase());
+        if (tempEmail && !(await isAlreadyStored(tempEmail.id, emailData.message_id))) {
+          await storeReceivedEmail(tempEmail.id, emailData);
+        }
+      }
+
+      callback(null, 'Message accepted');
+    } catch (error) {
+      console.error('SMTP message processing error:', error);
+      callback(smtpError('Failed to process the incoming email', 451));
+    }
+  });
+}
+
+export function createSmtpServer() {
+  const options = {
+    name: process.env.SMTP_HOSTNAME || undefined,
+    banner: 'Temporary email service',
+    size: parseInt(process.env.SMTP_MAX_SIZE, 10) || DEFAULT_MAX_SIZE,
+    authOptional: true,
+    disabledCommands: ['AUTH'],
+    onRcptTo: handleRcptTo,
+    onData: handleData
+  };
+
+  // Offer STARTTLS when a certificate is configured
+  if (process.env.SMTP_TLS_KEY && process.env.SMTP_TLS_CERT) {
+    options.key = fs.readFileSync(process.env.SMTP_TLS_KEY);
+    options.cert = fs.readFileSync(process.env.SMTP_TLS_CERT);
+  } else {
+    options.disabledCommands.push('STARTTLS');
+  }
+
+  const server = new SMTPServer(options);
+  server.on('error', error => {
+    console.error('SMTP server error:', error);
+  });
+  return server;
+}
+
+export function startSmtpServer() {
+  const port = parseInt(process.env.SMTP_PORT, 10) || DEFAULT_PORT;
+  const host = process.env.SMTP_LISTEN_HOST || '0.0.0.0';
+  const server = createSmtpServer();
+
+  server.listen(port, host, () => {
+    console.log(`SMTP server listening on port ${port}`);
+  });
+  return server;
+}
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function secret() {
+  return process.env.SRS_SECRET || process.env.JWT_SECRET;
+}
+
+function hash(...parts) {
+  return crypto.createHmac('sha1', secret())
+    .update(parts.join('').toLowerCase())
+    .digest('base64')
+    .slice(0, 4);
+}
+
+// Days since the epoch, modulo 1024, as two base32 characters
+function timestamp() {
+  const days = Math.floor(Date.now() / (24 * 60 * 60 * 1000));
+  return BASE32[(days >> 5) & 31] + BASE32[days & 31];
+}
+
+// Rewrite a sender address with the Sender Rewriting Scheme so forwarded mail passes
+// SPF for our domain while bounces can still be traced to the original sender:
+//   alice@example.com            -> SRS0=HHHH=TT=example.com=alice@forward.domain
+//   SRS0=...@other-forwarder.net -> SRS1=HHHH=other-forwarder.net==...@forward.domain
+export function srsEncode(address, forwardDomain) {
+  const at = address ? address.lastIndexOf('@') : -1;
+  if (at <= 0) {
+    return null;
+  }
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+
+  const srs0 = local.match(/^SRS0[=+-](.+)$/i);
+  if (srs0) {
+    return `SRS1=${hash(domain, srs0[1])}=${domain}==${srs0[1]}@${forwardDomain}`;
+  }
+  // An SRS1 address already names the first forwarder, so only the hash is redone
+  const srs1 = local.match(/^SRS1[=+-][^=]+=([^=]+)==(.+)$/i);
+  if (srs1) {
+    return `SRS1=${hash(srs1[1], srs1[2])}=${srs1[1]}==${srs1[2]}@${forwardDomain}`;
+  }
+
+  const ts = timestamp();
+  return `SRS0=${hash(ts, domain, local)}=${ts}=${domain}=${local}@${forwardDomain}`;
+}
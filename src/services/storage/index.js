@@ -0,0 +1,22 @@
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+// Resolve the driver named by STORAGE_DRIVER ("local" or "s3")
+export function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[name];
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = createDriver();
+  }
+  return storage;
+}
@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { BlockedHostError, assertPublicHost, publicHttpAgent, publicHttpsAgent } from './safe-http.js';
+
+const MAX_WEBHOOKS = parseInt(process.env.WEBHOOK_MAX_PER_USER, 10) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const MAX_RETRY_SECONDS = 12 * 60 * 60;
+// Deadline for the whole request, so a callback that trickles its response cannot hold a delivery
+const REQUEST_TIMEOUT = 10 * 1000;
+// Only the status matters; a larger response body fails the attempt instead of filling memory
+const MAX_RESPONSE_BYTES = 64 * 1024;
+const POLL_INTERVAL = (parseInt(process.env.WEBHOOK_POLL_SECONDS, 10) || 15) * 1000;
+const BATCH_SIZE = 20;
+// A delivery claimed longer ago than this belonged to an instance that died mid-request
+const STALE_CLAIM_MINUTES = 5;
+
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Local development can point callbacks at plain http or private hosts
+function allowInsecureTargets() {
+  return process.env.WEBHOOK_ALLOW_INSECURE === 'true';
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new WebhookError('A valid callback URL is required');
+  }
+  if (parsed.protocol !== 'https:' && !(allowInsecureTargets() && parsed.protocol === 'http:')) {
+    throw new WebhookError('Callback URLs must use https');
+  }
+  if (!allowInsecureTargets()) {
+    try {
+      assertPublicHost(url);
+    } catch (error) {
+      throw new WebhookError('Callback URLs must point to a public host');
+    }
+  }
+  return parsed.toString();
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent with the timestamp so receivers can reject replays
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function toPublicWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    temp_email_id: row.temp_email_id,
+    description: row.description,
+    enabled: Boolean(row.enabled),
+    created_at: row.created_at
+  };
+}
+
+async function findWebhook(userId, webhookId) {
+  const [webhooks] = await pool.query(
+    'SELECT * FROM user_webhooks WHERE id = ? AND user_id = ?',
+    [webhookId, userId]
+  );
+  if (webhooks.length === 0) {
+    throw new WebhookError('Webhook not found', 404);
+  }
+  return webhooks[0];
+}
+
+export async function listWebhooks(userId) {
+  const [webhooks] = await pool.query(
+    'SELECT * FROM user_webhooks WHERE user_id = ? ORDER BY created_at',
+    [userId]
+  );
+  return webhooks.map(toPublicWebhook);
+}
+
+// Register a callback for all of the user's addresses, or one when tempEmailId is given.
+// The signing secret is only returned here and on rotation
+export async function createWebhook(userId, { url, tempEmailId = null, description = null }) {
+  const target = validateUrl(url);
+
+  if (tempEmailId) {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [tempEmailId, userId]
+    );
+    if (tempEmails.length === 0) {
+      throw new WebhookError('Email not found', 404);
+    }
+  }
+
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) AS total FROM user_webhooks WHERE user_id = ?',
+    [userId]
+  );
+  if (total >= MAX_WEBHOOKS) {
+    throw new WebhookError(`At most ${MAX_WEBHOOKS} webhooks are allowed`);
+  }
+
+  const id = uuidv4();
+  const secret = generateSecret();
+  await pool.query(`
+    INSERT INTO user_webhooks (id, user_id, temp_email_id, url, secret, description)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [id, userId, tempEmailId, target, secret, description]);
+
+  const [webhooks] = await pool.query('SELECT * FROM user_webhooks WHERE id = ?', [id]);
+  return { ...toPublicWebhook(webhooks[0]), secret };
+}
+
+export async function updateWebhook(userId, webhookId, { url, enabled, description }) {
+  const webhook = await findWebhook(userId, webhookId);
+  const updates = [];
+  const params = [];
+
+  if (url !== undefined) {
+    updates.push('url = ?');
+    params.push(validateUrl(url));
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      throw new WebhookError('enabled must be a boolean');
+    }
+    updates.push('enabled = ?');
+    params.push(enabled);
+  }
+  if (description !== undefined) {
+    updates.push('description = ?');
+    params.push(description);
+  }
+
+  if (updates.length > 0) {
+    await pool.query(`UPDATE user_webhooks SET ${updates.join(', ')} WHERE id = ?`, [...params, webhook.id]);
+  }
+  const [webhooks] = await pool.query('SELECT * FROM user_webhooks WHERE id = ?', [webhook.id]);
+  return toPublicWebhook(webhooks[0]);
+}
+
+export async function rotateWebhookSecret(userId, webhookId) {
+  const webhook = await findWebhook(userId, webhookId);
+  const secret = generateSecret();
+  await pool.query('UPDATE user_webhooks SET secret = ? WHERE id = ?', [secret, webhook.id]);
+  return { id: webhook.id, secret };
+}
+
+export async function deleteWebhook(userId, webhookId) {
+  const [result] = await pool.query(
+    'DELETE FROM user_webhooks WHERE id = ? AND user_id = ?',
+    [webhookId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function listWebhookDeliveries(userId, webhookId, { limit = 50, status } = {}) {
+  const webhook = await findWebhook(userId, webhookId);
+  const [deliveries] = await pool.query(`
+    SELECT id, event_id, event_type, status, attempts, next_attempt_at, last_status_code,
+           last_error, delivered_at, redelivery_of, created_at
+    FROM webhook_deliveries
+    WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+    ORDER BY created_at DESC
+    LIMIT ?
+  `, status ? [webhook.id, status, limit] : [webhook.id, limit]);
+  return deliveries;
+}
+
+// Queue a fresh copy of a past delivery; the event id is kept so receivers can deduplicate
+export async function redeliver(userId, deliveryId) {
+  const [deliveries] = await pool.query(`
+    SELECT wd.*
+    FROM webhook_deliveries wd
+    JOIN user_webhooks uw ON wd.webhook_id = uw.id
+    WHERE wd.id = ? AND uw.user_id = ?
+  `, [deliveryId, userId]);
+  if (deliveries.length === 0) {
+    throw new WebhookError('Delivery not found', 404);
+  }
+  const original = deliveries[0];
+
+  const id = uuidv4();
+  await pool.query(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, next_attempt_at, redelivery_of)
+    VALUES (?, ?, ?, ?, ?, NOW(), ?)
+  `, [id, original.webhook_id, original.event_id, original.event_type, original.payload, original.id]);
+
+  kickWebhookQueue();
+  return { id, redelivery_of: original.id, status: 'pending' };
+}
+
+// Queue an event for every enabled webhook of the address's owner that covers the address
+export async function queueWebhookEvents(tempEmailId, type, data) {
+  const [webhooks] = await pool.query(`
+    SELECT uw.id, te.email
+    FROM temp_emails te
+    JOIN user_webhooks uw ON uw.user_id = te.user_id
+    WHERE te.id = ? AND uw.enabled = TRUE AND (uw.temp_email_id IS NULL OR uw.temp_email_id = te.id)
+  `, [tempEmailId]);
+  if (webhooks.length === 0) {
+    return 0;
+  }
+
+  const eventId = uuidv4();
+  const payload = JSON.stringify({
+    id: eventId,
+    type,
+    created_at: new Date().toISOString(),
+    data: { ...data, temp_email: webhooks[0].email }
+  });
+
+  for (const webhook of webhooks) {
+    await pool.query(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
+    `, [uuidv4(), webhook.id, eventId, type, payload]);
+  }
+
+  kickWebhookQueue();
+  return webhooks.length;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+async function post(webhook, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const insecure = allowInsecureTargets();
+
+  return axios.post(webhook.url, delivery.payload, {
+    timeout: REQUEST_TIMEOUT,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    maxContentLength: MAX_RESPONSE_BYTES,
+    maxBodyLength: MAX_RESPONSE_BYTES,
+    maxRedirects: 0,
+    httpAgent: insecure ? undefined : publicHttpAgent,
+    httpsAgent: insecure ? undefined : publicHttpsAgent,
+    // Any response is recorded; only 2xx counts as delivered
+    validateStatus: () => true,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TempMail-Webhooks/1.0',
+      'X-Webhook-Id': delivery.event_id,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+    }
+  });
+}
+
+async function deliver(delivery) {
+  const attempts = delivery.attempts + 1;
+  let statusCode = null;
+  let error = null;
+
+  const [webhooks] = await pool.query('SELECT * FROM user_webhooks WHERE id = ?', [delivery.webhook_id]);
+  const webhook = webhooks[0];
+
+  if (!webhook || !webhook.enabled) {
+    error = 'Webhook is disabled';
+  } else {
+    try {
+      const response = await post(webhook, delivery);
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Callback responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      const cause = requestError.cause || requestError;
+      if (axios.isCancel(requestError)) {
+        error = `Callback did not respond within ${REQUEST_TIMEOUT / 1000} seconds`;
+      } else {
+        error = cause instanceof BlockedHostError ? cause.message : requestError.message;
+      }
+    }
+  }
+
+  if (!error) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL,
+          delivered_at = NOW(), claimed_at = NULL
+      WHERE id = ?
+    `, [attempts, statusCode, delivery.id]);
+    return;
+  }
+
+  // Out of attempts (or nowhere left to send): park it in the dead-letter state
+  const dead = attempts >= MAX_ATTEMPTS || !webhook || !webhook.enabled;
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, claimed_at = NULL,
+        next_attempt_at = ${dead ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)'}
+    WHERE id = ?
+  `, dead
+    ? ['dead', attempts, statusCode, error, delivery.id]
+    : ['pending', attempts, statusCode, error, retryDelaySeconds(attempts), delivery.id]);
+}
+
+async function claimAndDeliver(delivery) {
+  try {
+    const [claim] = await pool.query(
+      "UPDATE webhook_deliveries SET status = 'sending', claimed_at = NOW() WHERE id = ? AND status = 'pending'",
+      [delivery.id]
+    );
+    if (claim.affectedRows === 1) {
+      await deliver(delivery);
+    }
+  } catch (error) {
+    console.error(`Webhook delivery ${delivery.id} failed:`, error);
+  }
+}
+
+let processing = false;
+
+// Send every delivery that is due; each one is claimed first so instances never send it twice.
+// A batch is sent in parallel so one slow callback does not hold up everyone else's
+export async function processWebhookQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    await pool.query(`
+      UPDATE webhook_deliveries SET status = 'pending', claimed_at = NULL
+      WHERE status = 'sending' AND claimed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    `, [STALE_CLAIM_MINUTES]);
+
+    for (;;) {
+      const [due] = await pool.query(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ?
+      `, [BATCH_SIZE]);
+      if (due.length === 0) {
+        break;
+      }
+
+      await Promise.all(due.map(claimAndDeliver));
+
+      if (due.length < BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Webhook queue processing failed:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+// Process the queue soon without making the caller wait for delivery
+export function kickWebhookQueue() {
+  setImmediate(() => {
+    processWebhookQueue();
+  });
+}
+
+export function startWebhookWorker() {
+  const timer = setInterval(processWebhookQueue, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+}
@@ -1,32 +1,174 @@
 import { pool } from '../db/init.js';
+import { removeAttachmentsForEmails } from '../services/attachments.js';
+import { removeRawMessagesForEmails } from '../services/raw-messages.js';
+import { ANONYMOUS_TIER, loadPolicies, effectivePolicy, defaultPolicy } from '../services/retention.js';
+
+// Rows are deleted in small batches so no single statement holds locks for long
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 500;
+
+export class CleanupInProgressError extends Error {}
+
+let running = false;
+
+// Every (domain, tier) combination that currently owns addresses
+async function loadGroups() {
+  const [groups] = await pool.query(`
+    SELECT DISTINCT te.domain_id, d.domain, COALESCE(u.tier, ?) AS tier
+    FROM temp_emails te
+    JOIN domains d ON te.domain_id = d.id
+    LEFT JOIN users u ON te.user_id = u.id
+  `, [ANONYMOUS_TIER]);
+  return groups;
+}
+
+const GROUP_FILTER = 'te.domain_id = ? AND COALESCE(u.tier, ?) = ?';
+
+function groupParams(group) {
+  return [group.domain_id, ANONYMOUS_TIER, group.tier];
+}
+
+// Received mail older than the mail TTL
+function expiredMailQuery(group, policy) {
+  return {
+    from: `
+      received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      LEFT JOIN users u ON te.user_id = u.id
+    `,
+    where: `${GROUP_FILTER} AND re.received_at < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+    params: [...groupParams(group), policy.mail_ttl_hours],
+    id: 're.id'
+  };
+}
+
+// Addresses whose expiry (capped by the address TTL) is further back than the grace period
+function expiredAddressQuery(group, policy) {
+  const expiry = policy.address_ttl_hours === null
+    ? 'te.expires_at'
+    : 'LEAST(te.expires_at, DATE_ADD(te.created_at, INTERVAL ? HOUR))';
+  const expiryParams = policy.address_ttl_hours === null ? [] : [policy.address_ttl_hours];
+
+  return {
+    from: 'temp_emails te LEFT JOIN users u ON te.user_id = u.id',
+    where: `${GROUP_FILTER} AND ${expiry} < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+    params: [...groupParams(group), ...expiryParams, policy.grace_hours || 0],
+    id: 'te.id'
+  };
+}
+
+async function countMatches(query) {
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM ${query.from} WHERE ${query.where}`,
+    query.params
+  );
+  return Number(total);
+}
+
+// Repeatedly take a batch of matching ids and hand it to deleteBatch until none are left
+async function deleteInBatches(query, deleteBatch) {
+  let deleted = 0;
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT ${query.id} AS id FROM ${query.from} WHERE ${query.where} LIMIT ?`,
+      [...query.params, BATCH_SIZE]
+    );
+    if (rows.length === 0) {
+      break;
+    }
+    deleted += await deleteBatch(rows.map(row => row.id));
+    if (rows.length < BATCH_SIZE) {
+      break;
+    }
+  }
+  return deleted;
+}
+
+// Stored attachment objects and raw sources are not covered by the foreign key cascade
+async function deleteReceivedEmails(emailIds, totals) {
+  totals.attachments += await removeAttachmentsForEmails(emailIds);
+  await removeRawMessagesForEmails(emailIds);
+  const [result] = await pool.query('DELETE FROM received_emails WHERE id IN (?)', [emailIds]);
+  return result.affectedRows;
+}
+
+async function deleteTempEmails(tempEmailIds, totals) {
+  const [receivedEmails] = await pool.query(
+    'SELECT id FROM received_emails WHERE temp_email_id IN (?)',
+    [tempEmailIds]
+  );
+  if (receivedEmails.length > 0) {
+    totals.receivedEmails += await deleteReceivedEmails(receivedEmails.map(email => email.id), totals);
+  }
+  const [result] = await pool.query('DELETE FROM temp_emails WHERE id IN (?)', [tempEmailIds]);
+  return result.affectedRows;
+}
+
+async function cleanupGroup(group, policy, dryRun, totals) {
+  const result = { domain: group.domain, tier: group.tier, policy, receivedEmails: 0, tempEmails: 0 };
+
+  if (policy.mail_ttl_hours !== null) {
+    const query = expiredMailQuery(group, policy);
+    result.receivedEmails = dryRun
+      ? await countMatches(query)
+      : await deleteInBatches(query, ids => deleteReceivedEmails(ids, totals));
+  }
+
+  const query = expiredAddressQuery(group, policy);
+  result.tempEmails = dryRun
+    ? await countMatches(query)
+    : await deleteInBatches(query, ids => deleteTempEmails(ids, totals));
+
+  totals.receivedEmails += result.receivedEmails;
+  totals.tempEmails += result.tempEmails;
+  return result;
+}
+
+// Apply the retention policies; with dryRun nothing is deleted and the report holds what would be
+export async function cleanupOldEmails({ dryRun = false } = {}) {
+  if (running) {
+    throw new CleanupInProgressError('A cleanup run is already in progress');
+  }
+  running = true;
+
+  const report = {
+    dryRun,
+    startedAt: new Date(),
+    finishedAt: null,
+    defaults: defaultPolicy(),
+    groups: [],
+    totals: { receivedEmails: 0, tempEmails: 0, attachments: 0, orphanedAttachments: 0 }
+  };
 
-export async function cleanupOldEmails() {
   try {
-    console.log('Starting cleanup process for old received emails...');
-    
-    // Only delete received emails older than 3 days
-    const [result] = await pool.query(`
-      DELETE re FROM received_emails re
-      WHERE re.received_at < DATE_SUB(NOW(), INTERVAL 3 DAY)
-    `);
-
-    console.log(`Cleanup completed. Deleted ${result.affectedRows} old received emails.`);
-    
-    // Clean up orphaned attachments but keep temp emails
-    const [attachmentResult] = await pool.query(`
-      DELETE ea FROM email_attachments ea
-      LEFT JOIN received_emails re ON ea.email_id = re.id
-      WHERE re.id IS NULL
-    `);
-
-    console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
-    
-    return {
-      deletedEmails: result.affectedRows,
-      deletedAttachments: attachmentResult.affectedRows
-    };
+    console.log(`Starting ${dryRun ? 'dry-run ' : ''}retention cleanup...`);
+
+    const policies = await loadPolicies();
+    for (const group of await loadGroups()) {
+      const policy = effectivePolicy(policies, group.domain_id, group.tier);
+      report.groups.push(await cleanupGroup(group, policy, dryRun, report.totals));
+    }
+
+    if (!dryRun) {
+      // Clean up attachment rows left behind by older deletes
+      const [attachmentResult] = await pool.query(`
+        DELETE ea FROM email_attachments ea
+        LEFT JOIN received_emails re ON ea.email_id = re.id
+        WHERE re.id IS NULL
+      `);
+      report.totals.orphanedAttachments = attachmentResult.affectedRows;
+    }
+
+    report.finishedAt = new Date();
+    const { receivedEmails, tempEmails, attachments } = report.totals;
+    console.log(
+      `Cleanup ${dryRun ? 'preview' : 'completed'}: ${receivedEmails} received emails, ` +
+      `${tempEmails} temporary emails, ${attachments} stored attachments.`
+    );
+    return report;
   } catch (error) {
     console.error('Error during email cleanup:', error);
     throw error;
+  } finally {
+    running = false;
   }
 }
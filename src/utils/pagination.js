@@ -0,0 +1,111 @@
+import { pool } from '../db/init.js';
+
+const DEFAULT_PAGE_SIZE = parseInt(process.env.PAGE_SIZE_DEFAULT, 10) || 50;
+const MAX_PAGE_SIZE = parseInt(process.env.PAGE_SIZE_MAX, 10) || 100;
+
+export class PaginationError extends Error {}
+
+// Cursors are opaque to clients: base64url JSON of the sort key of the row they point at
+function encodeCursor(row, orderKey, direction) {
+  const value = row[orderKey];
+  return Buffer.from(JSON.stringify({
+    t: value instanceof Date ? value.toISOString() : value,
+    id: row.id,
+    d: direction
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const at = new Date(decoded.t);
+    if (!decoded.id || Number.isNaN(at.getTime()) || !['next', 'prev'].includes(decoded.d)) {
+      throw new Error('Malformed cursor');
+    }
+    return { at, id: decoded.id, direction: decoded.d };
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+// Read limit/cursor from the query string. "compat=true" (or LIST_COMPAT_MODE when the client
+// sends no paging parameters) keeps the original bare-array response.
+export function parsePageParams(query) {
+  const wantsPaging = query.limit !== undefined || query.cursor !== undefined;
+  const legacy = query.compat !== undefined
+    ? query.compat === 'true'
+    : process.env.LIST_COMPAT_MODE === 'true' && !wantsPaging;
+
+  const limit = parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE;
+  if (limit < 1) {
+    throw new PaginationError('Invalid page size');
+  }
+
+  return {
+    legacy,
+    limit: Math.min(limit, MAX_PAGE_SIZE),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+}
+
+// Run a list query newest-first, keyed on (orderColumn, idColumn).
+// "where" and "params" describe the unpaged filter; "legacyLimit" bounds compat responses.
+export async function paginate({ select, from, where, params, orderColumn, idColumn, orderKey }, page, { legacyLimit } = {}) {
+  if (page.legacy) {
+    const limitClause = legacyLimit ? `LIMIT ${Number(legacyLimit)}` : '';
+    const [rows] = await pool.query(`
+      ${select}
+      FROM ${from}
+      WHERE ${where}
+      ORDER BY ${orderColumn} DESC
+      ${limitClause}
+    `, params);
+    return { rows, legacy: true };
+  }
+
+  const conditions = [where];
+  const cursorParams = [];
+  const backwards = page.cursor?.direction === 'prev';
+
+  if (page.cursor) {
+    const comparison = backwards ? '>' : '<';
+    conditions.push(`(${orderColumn} ${comparison} ? OR (${orderColumn} = ? AND ${idColumn} ${comparison} ?))`);
+    cursorParams.push(page.cursor.at, page.cursor.at, page.cursor.id);
+  }
+
+  const sortDirection = backwards ? 'ASC' : 'DESC';
+  const [fetched] = await pool.query(`
+    ${select}
+    FROM ${from}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${orderColumn} ${sortDirection}, ${idColumn} ${sortDirection}
+    LIMIT ?
+  `, [...params, ...cursorParams, page.limit + 1]);
+
+  // One extra row tells us whether there is another page in the direction we walked
+  const hasMore = fetched.length > page.limit;
+  const rows = fetched.slice(0, page.limit);
+  if (backwards) {
+    rows.reverse();
+  }
+
+  const hasNext = backwards ? Boolean(page.cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(page.cursor);
+
+  return {
+    rows,
+    pagination: {
+      limit: page.limit,
+      next: hasNext && rows.length > 0 ? encodeCursor(rows[rows.length - 1], orderKey, 'next') : null,
+      prev: hasPrev && rows.length > 0 ? encodeCursor(rows[0], orderKey, 'prev') : null
+    }
+  };
+}
+
+// Shape a page for the response: a bare array in compat mode, otherwise data plus cursors
+export function formatPage(result, rows = result.rows) {
+  if (result.legacy) {
+    return rows;
+  }
+  return { data: rows, pagination: result.pagination };
+}